@@ -0,0 +1,202 @@
+import express from "express";
+import { readRawKB, writeKBAtomic, createWriteQueue } from "./kbStore.js";
+import { validateKB } from "./kbSchema.js";
+
+// ---- Admin REST API over the KB collections ----
+//   GET/POST          /admin/:collection
+//   GET/PUT/PATCH/DELETE /admin/:collection/:id
+//   GET               /admin/rankings[/:course]
+//   PUT/DELETE        /admin/rankings/:course          (body: ranked list)
+//   PUT               /admin/rankings/:course/order    (body: { names: [...] })
+// Professors are addressed by name and courses by code; deadlines, faq and
+// majors (which have no natural key) by array index.
+
+const normName = s => (s || "").toLowerCase().trim();
+const normCode = s => (s || "").toUpperCase().replace(/[\s-]+/g, " ").trim();
+
+const COLLECTIONS = {
+  professors: { key: p => normName(p.name), normId: normName },
+  courses: { key: c => normCode(c.code), normId: normCode },
+  deadlines: {},
+  faq: {},
+  majors: {}
+};
+
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+function findIndex(list, spec, id) {
+  if (!spec.key) {
+    const i = Number(id);
+    return Number.isInteger(i) && i >= 0 && i < list.length ? i : -1;
+  }
+  return list.findIndex(item => spec.key(item) === spec.normId(id));
+}
+
+function isPlainObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+// createAdminRouter({ fileFor(req), requireAdmin, onWrite(db, { req, collection, mtimeMs }) })
+// fileFor picks the KB file per request, so one router can serve several schools.
+export function createAdminRouter({ fileFor, requireAdmin, onWrite }) {
+  const router = express.Router({ mergeParams: true });
+  const queues = new Map(); // file -> write queue
+  router.use(requireAdmin);
+  router.use((req, res, next) => {
+    req.kbFile = fileFor(req);
+    if (!req.kbFile) return res.status(404).json({ ok: false, error: `Unknown school "${req.params.school}"` });
+    next();
+  });
+
+  // Apply `mutate` to a fresh copy of the file, validate, save, then notify.
+  // Only errors the edit introduces are rejected, so a KB that already has
+  // problems can still be fixed one record at a time.
+  function edit(req, collection, mutate) {
+    const file = req.kbFile;
+    if (!queues.has(file)) queues.set(file, createWriteQueue());
+    return queues.get(file)(async () => {
+      const before = readRawKB(file);
+      const draft = structuredClone(before);
+      const result = mutate(draft);
+
+      const known = new Set(validateKB(before).map(i => `${i.path}|${i.message}`));
+      const introduced = validateKB(draft)
+        .filter(i => i.level === "error" && !known.has(`${i.path}|${i.message}`));
+      if (introduced.length) throw new HttpError(422, "Validation failed", { issues: introduced });
+
+      const mtimeMs = writeKBAtomic(file, draft);
+      await onWrite?.(draft, { req, collection, mtimeMs });
+      return result;
+    });
+  }
+
+  const send = (res, fn) => {
+    Promise.resolve()
+      .then(fn)
+      .then(out => res.status(out?.status || 200).json({ ok: true, ...out?.body }))
+      .catch(e => {
+        if (e instanceof HttpError) return res.status(e.status).json({ ok: false, error: e.message, ...e.extra });
+        console.error("❌ Admin API error:", e);
+        res.status(500).json({ ok: false, error: e.message });
+      });
+  };
+
+  // --- rankings (map of course -> ranked list) ---
+  router.get("/rankings", (req, res) => send(res, () => ({ body: { rankings: readRawKB(req.kbFile).rankings || {} } })));
+
+  router.get("/rankings/:course", (req, res) => send(res, () => {
+    const code = normCode(req.params.course);
+    const list = (readRawKB(req.kbFile).rankings || {})[code];
+    if (!list) throw new HttpError(404, `No rankings for ${code}`);
+    return { body: { course: code, list } };
+  }));
+
+  router.put("/rankings/:course", (req, res) => send(res, () => {
+    const code = normCode(req.params.course);
+    if (!Array.isArray(req.body)) throw new HttpError(400, "Body must be the ranked list (array)");
+    return edit(req, "rankings", db => {
+      db.rankings = db.rankings || {};
+      db.rankings[code] = req.body;
+      return { body: { course: code, list: req.body } };
+    });
+  }));
+
+  router.put("/rankings/:course/order", (req, res) => send(res, () => {
+    const code = normCode(req.params.course);
+    const names = req.body?.names;
+    if (!Array.isArray(names)) throw new HttpError(400, 'Body must be { "names": [...] } in the new order');
+    return edit(req, "rankings", db => {
+      const list = db.rankings?.[code];
+      if (!list) throw new HttpError(404, `No rankings for ${code}`);
+      const byName = new Map(list.map(r => [normName(r.name), r]));
+      const missing = names.filter(n => !byName.has(normName(n)));
+      if (missing.length) throw new HttpError(400, `Not ranked for ${code}: ${missing.join(", ")}`);
+
+      // listed names first (in the given order), anything not mentioned keeps its relative order after
+      const ordered = [
+        ...names.map(n => byName.get(normName(n))),
+        ...list.filter(r => !names.some(n => normName(n) === normName(r.name)))
+      ];
+      db.rankings[code] = ordered.map((r, i) => ({ ...r, rank: i + 1 }));
+      return { body: { course: code, list: db.rankings[code] } };
+    });
+  }));
+
+  router.delete("/rankings/:course", (req, res) => send(res, () => {
+    const code = normCode(req.params.course);
+    return edit(req, "rankings", db => {
+      if (!db.rankings?.[code]) throw new HttpError(404, `No rankings for ${code}`);
+      delete db.rankings[code];
+      return { body: { deleted: code } };
+    });
+  }));
+
+  // --- array collections ---
+  router.param("collection", (req, res, next, name) => {
+    if (!COLLECTIONS[name]) return res.status(404).json({ ok: false, error: `Unknown collection "${name}"` });
+    req.spec = COLLECTIONS[name];
+    next();
+  });
+
+  router.get("/:collection", (req, res) => send(res, () => ({
+    body: { items: readRawKB(req.kbFile)[req.params.collection] || [] }
+  })));
+
+  router.get("/:collection/:id", (req, res) => send(res, () => {
+    const list = readRawKB(req.kbFile)[req.params.collection] || [];
+    const i = findIndex(list, req.spec, req.params.id);
+    if (i < 0) throw new HttpError(404, "Not found");
+    return { body: { item: list[i] } };
+  }));
+
+  router.post("/:collection", (req, res) => send(res, () => {
+    const { collection } = req.params;
+    if (!isPlainObject(req.body)) throw new HttpError(400, "Body must be a JSON object");
+    return edit(req, collection, db => {
+      const list = db[collection] = db[collection] || [];
+      if (req.spec.key && list.some(item => req.spec.key(item) === req.spec.key(req.body))) {
+        throw new HttpError(409, "Already exists");
+      }
+      list.push(req.body);
+      return { status: 201, body: { item: req.body, id: req.spec.key ? req.spec.key(req.body) : list.length - 1 } };
+    });
+  }));
+
+  const update = merge => (req, res) => send(res, () => {
+    const { collection, id } = req.params;
+    if (!isPlainObject(req.body)) throw new HttpError(400, "Body must be a JSON object");
+    return edit(req, collection, db => {
+      const list = db[collection] || [];
+      const i = findIndex(list, req.spec, id);
+      if (i < 0) throw new HttpError(404, "Not found");
+      const next = merge ? { ...list[i], ...req.body } : req.body;
+      if (req.spec.key && req.spec.key(next) !== req.spec.key(list[i]) &&
+          list.some(item => req.spec.key(item) === req.spec.key(next))) {
+        throw new HttpError(409, "Another record already uses that key");
+      }
+      list[i] = next;
+      return { body: { item: next } };
+    });
+  });
+  router.put("/:collection/:id", update(false));
+  router.patch("/:collection/:id", update(true));
+
+  router.delete("/:collection/:id", (req, res) => send(res, () => {
+    const { collection, id } = req.params;
+    return edit(req, collection, db => {
+      const list = db[collection] || [];
+      const i = findIndex(list, req.spec, id);
+      if (i < 0) throw new HttpError(404, "Not found");
+      const [removed] = list.splice(i, 1);
+      return { body: { deleted: removed } };
+    });
+  }));
+
+  return router;
+}
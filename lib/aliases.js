@@ -0,0 +1,94 @@
+// ---- Alias tables: how students name courses, departments, campuses and majors ----
+// All of it lives in the KB, so "Statistics -> MATH 10" or a new major is a data edit:
+//   "aliases": {
+//     "courses":     { "MATH 1A": ["calculus i", "calc 1"] },
+//     "departments": { "MATH": { "name": "Mathematics", "aliases": ["math", "calc", "mth"] } },
+//     "campuses":    { "UC San Diego": ["ucsd", "san diego"] },
+//     "everyday_names": ["Read", "Case"]   // professor last names that are also plain words
+//   }
+// plus majors[].program / majors[].aliases for the majors themselves.
+// compileAliases(db) turns that into matchers; campus hints come back lowercased
+// ("uc san diego"), the way the major lookups compare them.
+import { DEFAULT_DEPT_ALIASES } from "./requirements.js";
+
+const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const tokens = s => String(s || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+// "Data Science" matches "data science", "data-science" and "datascience"
+function phraseSource(phrase) {
+  const t = tokens(phrase);
+  return t.length ? `\\b${t.map(escape).join("[^a-z0-9]*")}\\b` : null;
+}
+
+// one global regex for any of the phrases, longest first ("uc san diego" before "san diego")
+function phraseRegex(phrases) {
+  const sources = [...new Set(phrases.map(phraseSource).filter(Boolean))].sort((a, b) => b.length - a.length);
+  return sources.length ? new RegExp(sources.join("|"), "g") : null;
+}
+
+// [[value, [phrases]]] -> find(text) -> [{ value, index, length }] in order of appearance
+function phraseMatcher(entries) {
+  const compiled = entries
+    .map(([value, phrases]) => ({ value, re: phraseRegex(phrases) }))
+    .filter(c => c.re);
+  return text => {
+    const t = String(text || "").toLowerCase();
+    const found = [];
+    for (const { value, re } of compiled) {
+      re.lastIndex = 0;
+      const m = re.exec(t);
+      if (m) found.push({ value, index: m.index, length: m[0].length });
+    }
+    return found.sort((a, b) => a.index - b.index || b.length - a.length);
+  };
+}
+
+// "Data Science B.A. (L&S)" -> "Data Science"
+const programName = p => String(p || "").replace(/\(.*?\)/g, " ").replace(/\b[BM]\.?\s?[AS]\.?(?=\s|$)/g, " ").trim();
+
+export function compileAliases(db) {
+  const table = db.aliases || {};
+  const majors = db.majors || [];
+
+  const courseAlias = phraseMatcher(Object.entries(table.courses || {}));
+
+  const departments = table.departments || {};
+  const deptAliases = Object.keys(departments).length
+    ? Object.fromEntries(Object.entries(departments).flatMap(([code, d]) => (d.aliases || []).map(a => [a.toLowerCase(), code])))
+    : DEFAULT_DEPT_ALIASES;
+  const deptNames = phraseMatcher(Object.entries(departments).map(([code, d]) =>
+    [(d.name || code).toLowerCase(), [code, d.name, ...(d.aliases || [])].filter(Boolean)]));
+
+  // every campus with a major, named by itself, without "UC", and by its listed synonyms
+  const campusNames = [...new Set([...majors.map(m => m.campus), ...Object.keys(table.campuses || {})].filter(Boolean))];
+  const campusEntries = campusNames.map(name =>
+    [name.toLowerCase(), [name, name.replace(/^UC\s+/i, ""), ...(table.campuses?.[name] || [])]]);
+  const campusAlias = phraseMatcher(campusEntries);
+  const anyCampus = phraseRegex(campusEntries.flatMap(([, phrases]) => phrases));
+
+  const majorAlias = phraseMatcher(majors.map((m, i) => [i, [programName(m.program), ...(m.aliases || [])]]));
+
+  return {
+    deptAliases,
+    // every phrase above, so the typo resolver leaves them alone
+    vocabulary: [
+      ...Object.values(table.courses || {}).flat(),
+      ...Object.entries(departments).flatMap(([code, d]) => [code, d.name, ...(d.aliases || [])]),
+      ...Object.values(table.campuses || {}).flat(),
+      ...majors.flatMap(m => m.aliases || [])
+    ].flatMap(tokens),
+    courseAlias: text => courseAlias(text)[0]?.value || null,
+    deptHint: text => deptNames(text)[0]?.value || null,
+    campusHint: text => campusAlias(text)[0]?.value || null,
+    campusHints: text => [...new Set(campusAlias(text).map(m => m.value))],
+    // remove every campus mention so a new one can be swapped in
+    stripCampus(text) {
+      let out = String(text || "").toLowerCase();
+      if (anyCampus) out = out.replace(anyCampus, " ");
+      return out.replace(/\b(uc|at|for)\s*(\?|$)/g, " ").replace(/\s+/g, " ").trim();
+    },
+    majorsMentioned: text => majorAlias(text).map(m => majors[m.value]),
+    // "read" in "where do I read the syllabus" isn't Justin Read; "Read" is
+    everydayNames: new Set((table.everyday_names || []).map(n => String(n).toLowerCase()))
+  };
+}
@@ -0,0 +1,115 @@
+// ---- Automatic professor ranking (courses without a curated `rankings` list) ----
+// Ranks everyone in `professors` who teaches the course by a Bayesian-adjusted
+// rating: each professor's mean is pulled toward the KB-wide mean by PRIOR_WEIGHT
+// pseudo-ratings, so 4.8 from 5 ratings doesn't beat 4.1 from 300.
+// Would-take-again nudges the score (shrunk the same way, so a tiny sample can't
+// ride it to the top); difficulty only drives the "easiest" tag.
+// Both come from the difficulty / would_take_again fields, else from the notes
+// and reviews text ("79% would take again, difficulty ~3.0", "(62% WTA, diff ~3.0)").
+//
+// Output entries look like curated ones ({ name, rank, tags, notes }) plus
+// { auto: true, score, signals, explanation }.
+
+export const PRIOR_WEIGHT = 25;   // pseudo-ratings at the KB mean
+export const SMALL_SAMPLE = 10;   // fewer ratings than this -> small_sample
+const WTA_WEIGHT = 0.5;           // score points for 100% vs 70% would-take-again, before shrinking
+const WTA_BASELINE = 70;
+
+const round = (x, d = 2) => Math.round(x * 10 ** d) / 10 ** d;
+
+// { difficulty, would_take_again } from explicit fields, else from free text
+export function extractSignals(prof, extraText = "") {
+  const text = [prof.reviews, prof.notes, extraText].filter(Boolean).join(" ");
+  const wta = /(\d{1,3})\s*%\s*(?:would take again|WTA)\b/i.exec(text);
+  const diff = /\b(?:difficulty|diff)\.?\s*(?:of|:)?\s*~?\s*(\d(?:\.\d+)?)\b/i.exec(text);
+  const num = (field, m) => typeof prof[field] === "number" ? { value: prof[field], from: "field" }
+    : m ? { value: Number(m[1]), from: "text" } : null;
+  const difficulty = num("difficulty", diff);
+  const wouldTakeAgain = num("would_take_again", wta);
+  return {
+    difficulty: difficulty && difficulty.value >= 1 && difficulty.value <= 5 ? difficulty : null,
+    would_take_again: wouldTakeAgain && wouldTakeAgain.value <= 100 ? wouldTakeAgain : null
+  };
+}
+
+// rating-count-weighted mean over every rated professor in the KB
+export function priorMean(professors) {
+  let sum = 0, n = 0;
+  for (const p of professors || []) {
+    if (typeof p.rating === "number" && p.num_ratings > 0) { sum += p.rating * p.num_ratings; n += p.num_ratings; }
+  }
+  return n ? sum / n : 3.5;
+}
+
+// { n, adjusted }: the professor's mean pulled toward `prior` by PRIOR_WEIGHT
+// pseudo-ratings (n = 0 and adjusted = null when there's no rating to adjust)
+export function adjustedRating(prof, prior) {
+  const n = prof.num_ratings > 0 && typeof prof.rating === "number" ? prof.num_ratings : 0;
+  return { n, adjusted: n ? (PRIOR_WEIGHT * prior + n * prof.rating) / (PRIOR_WEIGHT + n) : null };
+}
+
+export function autoRank(professors, course, { notesFor = () => "" } = {}) {
+  const prior = priorMean(professors);
+  const teaching = (professors || []).filter(p => (p.courses || []).includes(course));
+
+  const scored = teaching.map(p => {
+    const { n, adjusted } = adjustedRating(p, prior);
+    const signals = extractSignals(p, notesFor(p));
+    const wta = signals.would_take_again?.value;
+    const bonus = adjusted != null && wta != null ? WTA_WEIGHT * ((wta - WTA_BASELINE) / 30) * (n / (PRIOR_WEIGHT + n)) : 0;
+    return {
+      prof: p,
+      n,
+      adjusted,
+      score: adjusted == null ? null : adjusted + bonus,
+      bonus,
+      signals
+    };
+  });
+
+  // rated first (by score), then unrated, alphabetical within ties
+  scored.sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.prof.name.localeCompare(b.prof.name));
+
+  const rated = scored.filter(s => s.score != null);
+  const withDifficulty = rated.filter(s => s.signals.difficulty && s.n >= SMALL_SAMPLE);
+  const easiest = withDifficulty.sort((a, b) => a.signals.difficulty.value - b.signals.difficulty.value)[0];
+
+  return scored.map((s, i) => {
+    const tags = [];
+    if (s.score != null && i === 0 && s.n >= SMALL_SAMPLE) tags.push("best_overall");
+    if (s.score != null && i === 1) tags.push("second_best");
+    if (s === easiest) tags.push("easiest");
+    if (s.n < SMALL_SAMPLE) tags.push("small_sample");
+    const explanation = explain(s, i, { prior, easiest: s === easiest });
+    return {
+      name: s.prof.name,
+      rank: i + 1,
+      tags,
+      notes: explanation,
+      auto: true,
+      score: s.score == null ? null : round(s.score),
+      signals: {
+        rating: s.prof.rating ?? null,
+        num_ratings: s.n,
+        adjusted_rating: s.adjusted == null ? null : round(s.adjusted),
+        difficulty: s.signals.difficulty?.value ?? null,
+        would_take_again: s.signals.would_take_again?.value ?? null
+      },
+      explanation
+    };
+  });
+}
+
+function explain(s, i, { prior, easiest }) {
+  const p = s.prof;
+  if (s.score == null) return `No ratings on file, so it's ranked last (#${i + 1}).`;
+  const parts = [
+    `#${i + 1}: ${p.rating}/5 from ${s.n} rating${s.n === 1 ? "" : "s"}, adjusted to ${round(s.adjusted)} ` +
+    `(pulled toward the ${round(prior)} average by ${PRIOR_WEIGHT} pseudo-ratings${s.n < SMALL_SAMPLE ? "; small sample, so mostly prior" : ""})`
+  ];
+  const wta = s.signals.would_take_again;
+  if (wta) parts.push(`${wta.value}% would take again (${s.bonus >= 0 ? "+" : ""}${round(s.bonus)})`);
+  const diff = s.signals.difficulty;
+  if (diff) parts.push(`difficulty ${diff.value}/5${easiest ? `, the lowest among professors with ${SMALL_SAMPLE}+ ratings` : ""}`);
+  return `${parts.join("; ")} → score ${round(s.score)}.`;
+}
@@ -0,0 +1,79 @@
+// ---- Side-by-side professor comparison ----
+// compareProfessors(profs, { course, rankingsFor, allProfessors }) ->
+//   { course, professors: [{ name, rating, num_ratings, adjusted_rating, rank, tags, ... }],
+//     columns: ["", "Amanda Lien", "Nahrin Rashid"], rows: [["Rating", "4.7", "4.5"], ...] }
+// `rankingsFor(code)` is the same lookup the chat uses (curated, else automatic),
+// so rank and tags match what "best professor for X" would say.
+import { extractSignals, priorMean, adjustedRating } from "./autoRank.js";
+
+const HIGHLIGHT_LEN = 140;
+
+// first sentence or two of the review text, trimmed to fit a table cell
+function highlight(text) {
+  const t = (text || "").replace(/\s+/g, " ").trim();
+  if (!t) return "";
+  const sentences = t.match(/[^.!?]+[.!?]?/g) || [t];
+  let out = "";
+  for (const s of sentences) {
+    if ((out + s).length > HIGHLIGHT_LEN) break;
+    out += s;
+  }
+  return (out || t.slice(0, HIGHLIGHT_LEN - 1) + "…").trim();
+}
+
+export function compareProfessors(profs, { course = null, rankingsFor = () => [], allProfessors = profs } = {}) {
+  const prior = priorMean(allProfessors);
+  const ranked = course ? rankingsFor(course) : [];
+
+  const professors = profs.map(p => {
+    const entry = ranked.find(r => (r.name || "").toLowerCase() === (p.name || "").toLowerCase());
+    const { adjusted } = adjustedRating(p, prior);
+    const signals = extractSignals(p, entry && !entry.auto ? entry.notes : "");
+    return {
+      name: p.name,
+      department: p.department || null,
+      rating: p.rating ?? null,
+      num_ratings: p.num_ratings ?? null,
+      adjusted_rating: adjusted == null ? null : Math.round(adjusted * 100) / 100,
+      difficulty: signals.difficulty?.value ?? null,
+      would_take_again: signals.would_take_again?.value ?? null,
+      course_rank: entry?.rank ?? null,
+      ranked_of: ranked.length || null,
+      tags: entry?.tags || [],
+      ranking_source: entry ? (entry.auto ? "auto" : "curated") : null,
+      teaches_course: course ? (p.courses || []).includes(course) : null,
+      courses: p.courses || [],
+      highlights: highlight((entry && !entry.auto ? entry.notes : "") || p.reviews),
+      rmp_url: p.rmp_url || ""
+    };
+  });
+
+  const cell = v => (v == null || v === "" ? "—" : String(v));
+  const rows = [
+    ["Rating", ...professors.map(p => cell(p.rating))],
+    ["# ratings", ...professors.map(p => cell(p.num_ratings))],
+    ["Adjusted rating", ...professors.map(p => cell(p.adjusted_rating))],
+    ["Would take again", ...professors.map(p => p.would_take_again == null ? "—" : `${p.would_take_again}%`)],
+    ["Difficulty", ...professors.map(p => p.difficulty == null ? "—" : `${p.difficulty}/5`)]
+  ];
+  if (course) {
+    rows.push(
+      [`Rank for ${course}`, ...professors.map(p =>
+        p.course_rank != null ? `#${p.course_rank} of ${p.ranked_of}${p.ranking_source === "auto" ? " (auto)" : ""}`
+          : p.teaches_course ? "unranked" : "doesn't teach it")],
+      ["Tags", ...professors.map(p => cell(p.tags.join(", ")))]
+    );
+  }
+  rows.push(
+    ["Courses", ...professors.map(p => cell(p.courses.join(", ")))],
+    ["Highlights", ...professors.map(p => cell(p.highlights))]
+  );
+
+  return { course, professors, columns: ["", ...professors.map(p => p.name)], rows };
+}
+
+// Markdown-style table (used for the model snippet)
+export function comparisonTable(cmp) {
+  const line = cells => `| ${cells.map(c => String(c).replace(/\|/g, "/")).join(" | ")} |`;
+  return [line(cmp.columns), line(cmp.columns.map(() => "---")), ...cmp.rows.map(line)].join("\n");
+}
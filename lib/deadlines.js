@@ -0,0 +1,158 @@
+// ---- Deadline engine ----
+// Turns free-text deadlines ("October 5, 2025") into real dates, places them in
+// a quarter-based term model and answers "how long until ...?" against today.
+
+const DAY = 24 * 60 * 60 * 1000;
+export const SEASONS = ["Winter", "Spring", "Summer", "Fall"]; // calendar order within a year
+
+// Quarter a calendar month belongs to (De Anza-style quarters)
+function seasonOfMonth(m) {
+  if (m <= 2) return "Winter";   // Jan–Mar
+  if (m <= 5) return "Spring";   // Apr–Jun
+  if (m <= 7) return "Summer";   // Jul–Aug
+  return "Fall";                 // Sep–Dec
+}
+
+export function parseTerm(s) {
+  const m = /\b(winter|spring|summer|fall|autumn)\s*(?:quarter\s*)?(\d{4})\b/i.exec(s || "");
+  if (!m) return null;
+  const season = m[1].toLowerCase() === "autumn" ? "Fall" : m[1][0].toUpperCase() + m[1].slice(1).toLowerCase();
+  return { season, year: Number(m[2]) };
+}
+
+export function termOf(date) {
+  return { season: seasonOfMonth(date.getMonth()), year: date.getFullYear() };
+}
+
+export function termKey(t) {
+  return t ? t.year * 4 + SEASONS.indexOf(t.season) : null;
+}
+
+export function termName(t) {
+  return t ? `${t.season} ${t.year}` : "";
+}
+
+export function nextTerm(t) {
+  const i = SEASONS.indexOf(t.season);
+  return i === SEASONS.length - 1 ? { season: SEASONS[0], year: t.year + 1 } : { season: SEASONS[i + 1], year: t.year };
+}
+
+export function currentTerms(now = new Date()) {
+  const current = termOf(now);
+  return { current, next: nextTerm(current) };
+}
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+
+// A real calendar day with an explicit year: "2025-10-05", "October 5, 2025" or
+// "Oct 5, 2025" -> local midnight. Anything vaguer ("October 5", "Fall 2025",
+// "Week 6") or impossible ("February 30, 2026") -> null; Date.parse would guess.
+export function parseCalendarDate(s) {
+  const str = String(s || "").trim();
+  let y, m, d;
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  const long = /^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i.exec(str);
+  if (iso) {
+    [y, m, d] = [Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])];
+  } else if (long) {
+    const name = long[1].toLowerCase();
+    m = MONTHS.findIndex(full => full === name || (name.length >= 3 && full.startsWith(name)));
+    [y, d] = [Number(long[3]), Number(long[2])];
+  } else {
+    return null;
+  }
+  const date = new Date(y, m, d);
+  return m >= 0 && date.getFullYear() === y && date.getMonth() === m && date.getDate() === d ? date : null;
+}
+
+// "October 5, 2025" (+ optional "11:59 PM") -> Date; a deadline with no time
+// counts as the end of that day. Returns null if unparseable.
+export function parseDeadlineDate(d) {
+  const date = parseCalendarDate(d?.date);
+  if (!date) return null;
+  const t = /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i.exec(d.time || "");
+  if (t) {
+    const meridiem = (t[3] || "").toLowerCase();
+    let h = Number(t[1]);
+    if (meridiem) h = (h % 12) + (meridiem === "pm" ? 12 : 0); // else it's already 24h
+    date.setHours(h, Number(t[2] || 0), 0, 0);
+  } else {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function startOfDay(d) {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+}
+
+// whole calendar days from today to the deadline's day (0 = today, <0 = passed)
+export function daysUntil(date, now = new Date()) {
+  return Math.round((startOfDay(date) - startOfDay(now)) / DAY);
+}
+
+export function describeDaysLeft(days, passed) {
+  if (passed && days === 0) return "passed earlier today";
+  if (days === 0) return "today";
+  if (days === 1) return "tomorrow (1 day left)";
+  if (days > 1) return `in ${days} days`;
+  return `passed ${-days} day${days === -1 ? "" : "s"} ago`;
+}
+
+// [{ deadline, date, term, days_left, passed, status }] sorted by date
+export function annotateDeadlines(deadlines, now = new Date()) {
+  return (deadlines || [])
+    .map(d => {
+      const date = parseDeadlineDate(d);
+      if (!date) return null;
+      const days = daysUntil(date, now);
+      const passed = date < now;
+      return {
+        deadline: d,
+        date,
+        term: parseTerm(d.term) || termOf(date),
+        days_left: days,
+        passed,
+        status: describeDaysLeft(days, passed)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+}
+
+// Term the user asked about: "Winter 2026", "next quarter", "this quarter",
+// or a bare season ("winter" -> the next one that hasn't ended yet).
+export function termFromQuery(query, now = new Date()) {
+  const q = (query || "").toLowerCase();
+  const explicit = parseTerm(q);
+  if (explicit) return explicit;
+  const { current, next } = currentTerms(now);
+  if (/\bnext\s+(quarter|term)\b/.test(q)) return next;
+  if (/\b(this|current)\s+(quarter|term)\b/.test(q)) return current;
+  const season = /\b(winter|spring|summer|fall|autumn)\b/.exec(q)?.[1];
+  if (season) {
+    const want = season === "autumn" ? "Fall" : season[0].toUpperCase() + season.slice(1);
+    let t = current;
+    while (t.season !== want) t = nextTerm(t);
+    return t;
+  }
+  return null;
+}
+
+// Default scope when no term was asked for: the current quarter, else the next
+// one. With neither on file the scope is empty (and the bot says it has no
+// deadlines for this term) rather than counting days to an old term's dates.
+export function activeDeadlines(annotated, now = new Date()) {
+  const { current, next } = currentTerms(now);
+  for (const t of [current, next]) {
+    const inTerm = annotated.filter(a => termKey(a.term) === termKey(t));
+    if (inTerm.length) return { term: t, items: inTerm };
+  }
+  return { term: current, items: [] };
+}
+
+export function upcomingDeadlines(deadlines, { days = 30, now = new Date() } = {}) {
+  return annotateDeadlines(deadlines, now).filter(a => !a.passed && a.days_left <= days);
+}
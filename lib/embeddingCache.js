@@ -0,0 +1,70 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// ---- On-disk embedding cache ----
+// Vectors are keyed by embedding model + sha256 of the item text, so an item is
+// only re-embedded when its text (or the model) changes.
+
+export function cacheKey(model, text) {
+  return `${model}:${crypto.createHash("sha256").update(text || "").digest("hex")}`;
+}
+
+export function loadEmbeddingCache(file) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return new Map(Object.entries(raw.entries || {}));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("⚠️ Ignoring unreadable embedding cache:", e.message);
+    return new Map();
+  }
+}
+
+export function saveEmbeddingCache(file, cache) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries: Object.fromEntries(cache) }));
+  fs.renameSync(tmp, file);
+}
+
+// Embed `items` ({ text }) reusing cached vectors; returns { vectors, reused, embedded, failed, error }.
+// The cache is rewritten with exactly the current items, so removed ones drop out.
+// It's saved after every batch: if a later batch fails, the vectors so far are
+// kept (the rest stay null and `error` says why) and the next build only embeds
+// what's still missing.
+export async function embedWithCache(items, { file, model, embedBatch, batchSize = 64 }) {
+  const cache = loadEmbeddingCache(file);
+  const keys = items.map(it => cacheKey(model, it.text));
+  const vectors = keys.map(k => cache.get(k) || null);
+
+  const missing = [];
+  vectors.forEach((v, i) => { if (!v) missing.push(i); });
+
+  const save = () => {
+    const next = new Map();
+    keys.forEach((k, i) => { if (vectors[i]) next.set(k, vectors[i]); });
+    try {
+      saveEmbeddingCache(file, next);
+    } catch (e) {
+      console.warn("⚠️ Could not write embedding cache:", e.message);
+    }
+  };
+
+  let embedded = 0;
+  let error = null;
+  for (let start = 0; start < missing.length; start += batchSize) {
+    const idx = missing.slice(start, start + batchSize);
+    try {
+      const out = await embedBatch(idx.map(i => items[i].text));
+      idx.forEach((i, j) => { vectors[i] = out[j] || null; });
+    } catch (e) {
+      error = e;
+      break;
+    }
+    embedded += idx.length;
+    save();
+  }
+  if (!missing.length) save();
+
+  return { vectors, reused: items.length - missing.length, embedded, failed: missing.length - embedded, error };
+}
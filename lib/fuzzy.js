@@ -0,0 +1,234 @@
+// ---- Typo-tolerant matching for professor names, course codes and campuses ----
+// The lookups in server.js are exact, so "Ahrnes", "cis22 c", "MTH 1A" and
+// "UC Santa Barabara" all miss. createResolver(vocab).resolve(text) finds spans
+// like those and scores the candidates by edit distance (a swapped pair of
+// letters is one edit) plus a Soundex check:
+//   { text, guess, matches: [{ kind, text, match, label, confidence, options, ambiguous }] }
+// `text` has the confident matches swapped in, so the exact lookups downstream
+// just work; `guess` has every best guess swapped in (for when the student
+// answers "yes" to "Did you mean …?").
+
+export const AUTO_CONFIDENCE = 0.9;     // at or above, with no close runner-up -> fix silently
+export const SUGGEST_CONFIDENCE = 0.7;  // at or above -> ask
+const MARGIN = 0.05;                    // options this close to the best one are all offered
+const MIN_SPELLING = 0.6;               // sounding alike never makes up for a very different spelling
+const MIN_WORD_LEN = 5;                 // single words shorter than this are never corrected ("Read", "Lin")
+const MAX_OPTIONS = 4;
+
+// words that look like names or departments but are just the question
+const COMMON_WORDS = new Set([
+  "a", "an", "and", "any", "are", "as", "at", "be", "best", "by", "can", "do", "for", "from", "get", "give", "has",
+  "have", "how", "i", "if", "in", "is", "it", "me", "my", "no", "not", "of", "on", "or", "so", "the", "to", "top",
+  "up", "vs", "was", "what", "when", "who", "why", "with", "yes", "you",
+  "about", "after", "again", "before", "better", "between", "check", "class", "classes", "compare", "could",
+  "course", "courses", "deadline", "deadlines", "easier", "easiest", "first", "grade", "grades", "hardest",
+  "harder", "their", "there", "these", "thing", "think", "major", "majors", "other", "people", "professor",
+  "professors", "quarter", "rating", "ratings", "ready", "really", "review", "reviews", "right", "school",
+  "second", "should", "spring", "still", "summer", "taken", "taking", "teach", "teacher", "teaches", "teaching",
+  "thanks", "third", "which", "while", "winter", "would", "where", "tutor", "tutoring", "transfer", "units"
+]);
+
+const round = x => Math.round(x * 1000) / 1000;
+const casedWords = s => (s || "").split(/[^A-Za-z0-9]+/).filter(Boolean);
+const words = s => casedWords(s).map(w => w.toLowerCase());
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions)
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// American Soundex: "Ahrens" and "Ahrnes" are both A652
+export function soundex(word) {
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  const w = (word || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return "";
+  let out = w[0].toUpperCase();
+  let prev = codes[w[0]] || 0;
+  for (const ch of w.slice(1)) {
+    const c = codes[ch] || 0;
+    if (c && c !== prev) out += c;
+    if (ch !== "h" && ch !== "w") prev = c; // h/w don't separate equal codes
+  }
+  return (out + "000").slice(0, 4);
+}
+
+// 0..1, mostly spelling plus a bonus when every word sounds the same;
+// null when the spelling is too far off to be a typo
+export function similarity(a, b) {
+  const spelling = 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+  if (spelling < MIN_SPELLING) return null;
+  const A = a.split(" "), B = b.split(" ");
+  const sound = A.length === B.length && A.every((w, i) => soundex(w) === soundex(B[i])) ? 1 : 0;
+  return round(0.7 * spelling + 0.3 * sound);
+}
+
+// best options first; ambiguous unless one replacement clearly wins
+function decide(kind, span, candidates) {
+  const sorted = candidates.filter(c => c.confidence >= SUGGEST_CONFIDENCE).sort((a, b) => b.confidence - a.confidence);
+  if (!sorted.length) return null;
+  const [top] = sorted;
+  const options = sorted.filter(c => c.confidence >= top.confidence - MARGIN).slice(0, MAX_OPTIONS);
+  const ambiguous = top.confidence < AUTO_CONFIDENCE || new Set(options.map(o => o.replacement)).size > 1;
+  return {
+    kind,
+    text: span.text,
+    start: span.start,
+    end: span.end,
+    match: top.match,
+    replacement: top.replacement,
+    label: top.label,
+    confidence: top.confidence,
+    options: options.map(({ match, label, confidence }) => ({ match, label, confidence })),
+    ambiguous
+  };
+}
+
+// professors: [{ name, courses }], codes: ["MATH 1A", ...], titles: { "MATH 1A": "Calculus I" },
+// campuses: ["UC Santa Barbara", ...], vocabulary: words the KB uses (never "corrected"),
+// deptAliases: { mth: "MATH" } (department aliases, rewritten to the real code in course codes)
+export function createResolver({ professors = [], codes = [], titles = {}, campuses = [], vocabulary = [], deptAliases = {} } = {}) {
+  const known = new Set([...COMMON_WORDS, ...vocabulary]);
+  const codeSet = new Set(codes);
+  const courseLabel = code => `${code}${titles[code] ? ` (${titles[code]})` : ""}`;
+  const catalog = [...codes].map(code => {
+    const [dept, num = ""] = code.toLowerCase().split(" ");
+    return { code, dept, num };
+  });
+  const depts = new Set(catalog.map(c => c.dept));
+
+  // every spelling a student might be aiming at, each with what to write instead
+  // (the full name for professors, so the exact lookups can't hit the wrong Nguyen)
+  const forms = [];
+  const nameTokens = new Set();
+  for (const p of professors) {
+    const w = words(p.name);
+    if (!w.length) continue;
+    w.forEach(t => nameTokens.add(t));
+    const label = `${p.name}${p.courses?.length ? ` (${p.courses.join(", ")})` : ""}`;
+    const last = w[w.length - 1];
+    for (const form of new Set([w.join(" "), `${w[0]} ${last}`, last])) {
+      if (!form.includes(" ") && form.length < MIN_WORD_LEN) continue;
+      forms.push({ kind: "professor", form, replacement: p.name, match: p.name, label });
+    }
+  }
+  for (const name of campuses) {
+    const full = casedWords(name).join(" ");
+    for (const replacement of new Set([full, full.replace(/^UC /i, "")])) {
+      forms.push({ kind: "campus", form: replacement.toLowerCase(), replacement, match: name, label: name });
+    }
+  }
+  const formSet = new Set(forms.map(f => f.form));
+
+  function courseMatches(text) {
+    const out = [];
+    const re = /\b([a-z]{2,5})\s*(\d{1,3})(?:\s*([a-z])(?![a-z0-9]))?(?!\d)/gi;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const span = { text: m[0], start: m.index, end: m.index + m[0].length };
+      const dept = m[1].toLowerCase();
+      const num = `${m[2]}${m[3] || ""}`.toLowerCase();
+      const exact = `${dept.toUpperCase()} ${num.toUpperCase()}`;
+      // a department alias is a sure thing ("MTH 1A" -> "MATH 1A"); vocabulary would otherwise shield it
+      const aliased = !depts.has(dept) && deptAliases[dept] ? `${deptAliases[dept].toUpperCase()} ${num.toUpperCase()}` : null;
+      if (aliased && codeSet.has(aliased)) {
+        out.push(decide("course", span, [{ match: aliased, replacement: aliased, label: courseLabel(aliased), confidence: 1 }]));
+        continue;
+      }
+      if (codeSet.has(exact)) {
+        // right code, odd spacing ("cis22 c") -> just normalize it
+        if (!/^[a-z]{2,5}\s?\d{1,3}[a-z]?$/i.test(m[0])) {
+          out.push(decide("course", span, [{ match: exact, replacement: exact, label: courseLabel(exact), confidence: 1 }]));
+        }
+        continue;
+      }
+      if (!depts.has(dept) && (known.has(dept) || nameTokens.has(dept))) continue;
+      const candidates = [];
+      for (const c of catalog) {
+        // same number; a missing letter ("MATH 1") offers every section of it
+        if (c.num !== num && !(m[3] == null && c.num.length === num.length + 1 && c.num.startsWith(num))) continue;
+        const deptScore = c.dept === dept ? 1 : similarity(dept, c.dept);
+        if (deptScore == null) continue;
+        candidates.push({ match: c.code, replacement: c.code, label: courseLabel(c.code), confidence: round(0.6 + 0.4 * deptScore) });
+      }
+      const found = decide("course", span, candidates);
+      if (found) out.push(found);
+    }
+    return out;
+  }
+
+  function wordMatches(text, taken) {
+    const tokens = [...text.matchAll(/[a-z0-9]+/gi)]
+      .map(m => ({ w: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length }))
+      .filter(t => !taken.some(([a, b]) => t.start < b && t.end > a));
+    const used = new Set();
+    const out = [];
+    for (const n of [3, 2, 1]) {
+      for (let i = 0; i + n <= tokens.length; i++) {
+        const span = tokens.slice(i, i + n);
+        // only words next to each other ("santa barabara", not "santa, barabara")
+        if (span.some((t, k) => used.has(i + k) || (k && !/^\s+$/.test(text.slice(span[k - 1].end, t.start))))) continue;
+        const phrase = span.map(t => t.w).join(" ");
+        const mark = () => span.forEach((_, k) => used.add(i + k));
+        if (formSet.has(phrase)) { mark(); continue; } // spelled right
+        const unknown = span.filter(t => !known.has(t.w) && !nameTokens.has(t.w) && !/\d/.test(t.w));
+        if (!unknown.length || (n === 1 && phrase.length < MIN_WORD_LEN)) continue;
+        const candidates = forms
+          .filter(f => f.form.split(" ").length === n)
+          .map(f => ({ ...f, confidence: similarity(phrase, f.form) }))
+          .filter(f => f.confidence != null);
+        const byKind = candidates.length && candidates.sort((a, b) => b.confidence - a.confidence)[0].kind;
+        const found = decide(byKind, { text: text.slice(span[0].start, span[n - 1].end), start: span[0].start, end: span[n - 1].end },
+          candidates.filter(c => c.kind === byKind));
+        if (found) { out.push(found); mark(); }
+      }
+    }
+    return out;
+  }
+
+  return {
+    resolve(text) {
+      const t = text || "";
+      const courses = courseMatches(t);
+      const matches = [...courses, ...wordMatches(t, courses.map(c => [c.start, c.end]))].sort((a, b) => a.start - b.start);
+      const apply = list => list.slice().sort((a, b) => b.start - a.start)
+        .reduce((s, m) => s.slice(0, m.start) + m.replacement + s.slice(m.end), t);
+      return {
+        text: apply(matches.filter(m => !m.ambiguous)),
+        guess: apply(matches),
+        matches: matches.map(({ start, end, replacement, ...m }) => m)
+      };
+    }
+  };
+}
+
+// The resolver for one school's KB. `codes` are its valid course codes, `aliases`
+// is compileAliases(db). Words the KB itself uses are never "corrected" into a
+// name; department aliases instead expand inside course codes ("MTH 1A").
+export function createKBResolver(db, { codes = [], aliases } = {}) {
+  const vocabulary = words([
+    db.school?.name,
+    ...(db.courses || []).flatMap(c => [c.title, c.department, c.description]),
+    ...(db.faq || []).flatMap(f => [f.q, f.a]),
+    ...(db.majors || []).map(m => m.program),
+    ...(db.deadlines || []).map(d => d.description),
+    ...(aliases?.vocabulary || [])
+  ].filter(Boolean).join(" "));
+  const canon = code => String(code || "").toUpperCase().replace(/[\s-]+/g, " ").trim();
+  return createResolver({
+    professors: db.professors || [],
+    codes,
+    titles: Object.fromEntries((db.courses || []).map(c => [canon(c.code), c.title])),
+    campuses: [...new Set((db.majors || []).map(m => m.campus).filter(Boolean))],
+    vocabulary,
+    deptAliases: aliases?.deptAliases || {}
+  });
+}
@@ -0,0 +1,203 @@
+// ---- Reply guardrail: check what the model said against the KB ----
+// createReplyChecker({ professors, deadlines, vocabulary, entities }).check(text, { snippets, hits, userMessage, today })
+//   -> [{ kind: "name"|"rating"|"date", value, message }]   ([] = nothing to fix)
+// name:   a person that neither the snippets, the KB nor the student's own message mention
+// rating: "4.9/5", "rated 4.9" that isn't the named professor's rating (or any rating in the snippets)
+// date:   "March 3", "2026-03-03", "3/3" that isn't a KB deadline, in a snippet, or today
+// A run of capitalized words only counts as a person after a title ("Dr. Lien",
+// "Professor Lien"), or when it's shaped like a first + last name ("John Carter")
+// in a sentence about professors (a professor word, a rating, or a name from the
+// roster). Runs with a word the KB uses as an ordinary word ("Student Success
+// Center") or that name any KB entity are never people.
+// createSentenceGate(isClean, relay) streams a reply a sentence at a time, holding
+// back everything from the first sentence that fails the check.
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// capitalized words that open a sentence or a clause in front of a name ("Try Amanda Lien")
+const STOP_WORDS = new Set([
+  "january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december",
+  "monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday",
+  "try", "ask", "email", "contact", "see", "take", "consider", "also", "both", "definitely", "maybe", "then",
+  "and", "or", "but", "if", "the", "this", "that", "here", "use", "visit", "check", "yes", "no", "hi", "thanks"
+]);
+
+// a sentence is about professors if it says so, quotes a rating, or names one from the roster
+const PROFESSOR_CUE = /\b(?:prof|profs|professors?|instructors?|teachers?|lecturers?|teach|teaches|taught|teaching|rated|ratings?|rmp)\b|\/\s*5\b/i;
+
+const TITLE = "(?:[Pp]rofessor|[Pp]rof\\.?|Dr\\.|[Ii]nstructor)";
+const WORD = "\\p{Lu}(?=[\\p{L}'’-]*\\p{Ll})[\\p{L}'’-]+"; // capitalized, not ALL CAPS ("MATH")
+// "Lien", "Sadeghi-Hassanvand", "O'Neil", "McKay"; not "MyPortal" or "iPhone"
+const NAME_SHAPE = /^(?:Mc|Mac|O['’])?\p{Lu}\p{Ll}+(?:[-'’]\p{Lu}\p{Ll}+)*$/u;
+const NAME_RE = new RegExp(`(?<![\\p{L}])(?:(${TITLE})[ \\t]+)?(${WORD}(?:[ \\t]+(?!${TITLE}[ \\t])(?:\\p{Lu}\\.[ \\t]+)?${WORD})*)`, "gu");
+
+const nameWords = s => String(s || "").toLowerCase().split(/[^\p{L}'’-]+/u).filter(w => w.length > 1);
+const round1 = x => Math.round(x * 10) / 10;
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const mentions = (haystack, phrase) => new RegExp(`(?<![\\p{L}])${escapeRe(phrase)}(?![\\p{L}])`, "iu").test(haystack);
+
+// sentences, without splitting "4.7" or "Dr. Lien" in two
+const sentences = text => String(text || "").split(/(?<=[.!?])(?<!\b(?:Dr|Prof|Mr|Mrs|Ms)\.)\s+|\n+/).filter(s => s.trim());
+
+// "March 3", "Mar 3rd, 2026", "2026-03-03", "3/3/2026" -> [{ m, d, y, text }]
+export function findDates(text) {
+  const s = String(text || "");
+  const out = [];
+  const monthRe = /\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}))?/gi;
+  for (const m of s.matchAll(monthRe)) {
+    out.push({ m: MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, d: Number(m[2]), y: m[3] ? Number(m[3]) : null, text: m[0] });
+  }
+  for (const m of s.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    out.push({ m: Number(m[2]), d: Number(m[3]), y: Number(m[1]), text: m[0] });
+  }
+  for (const m of s.matchAll(/(?<![\d.\/-])(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?(?![\d.\/])/g)) {
+    const y = m[3] ? Number(m[3].length === 2 ? `20${m[3]}` : m[3]) : null;
+    out.push({ m: Number(m[1]), d: Number(m[2]), y, text: m[0] });
+  }
+  return out.filter(x => x.m >= 1 && x.m <= 12 && x.d >= 1 && x.d <= 31);
+}
+
+// "4.7/5", "4.7 out of 5", "rating of 4.7", "rated 4.7" -> [{ value, text }] (0-5 only; "149 ratings" is a count)
+export function findRatings(text) {
+  const s = String(text || "");
+  const out = [];
+  for (const m of s.matchAll(/(?<![\d.\/])(\d(?:\.\d{1,2})?)\s*(?:\/\s*5(?:\.0)?(?!\.?\d|\/)|out of 5\b)/g)) out.push({ value: Number(m[1]), text: m[0] });
+  for (const m of s.matchAll(/\b(?:rating|rated|rates|scores?)\b[^.\d\n]{0,20}?(?<![\d.])(\d(?:\.\d{1,2})?)(?![\d.]*\s*(?:\/|out of)\s*5)(?![\d])/gi)) {
+    if (Number(m[1]) <= 5) out.push({ value: Number(m[1]), text: m[0] });
+  }
+  return out;
+}
+
+// professor records behind a hit (ranking / professor / comparison)
+function hitProfessors(hit) {
+  if (hit.type === "professor") return [hit.data];
+  if (hit.type === "ranking") return [hit.data?.prof];
+  if (hit.type === "comparison") return hit.data?.professors || [];
+  return [];
+}
+
+// entities: names of everything else in the KB (course titles, campuses, programs,
+// FAQ text, deadlines) -- a run found in any of them isn't a person, and a word
+// they use in lowercase ("center", "services") is an ordinary word
+export function createReplyChecker({ professors = [], deadlines = [], vocabulary = [], entities = [] } = {}) {
+  const roster = professors.filter(p => p?.name);
+  const profNames = new Set(roster.flatMap(p => nameWords(p.name)));
+  const entityText = entities.filter(Boolean).join("\n");
+  const ordinary = entityText.match(/(?<![\p{L}'’-])\p{Ll}[\p{L}'’-]*/gu) || [];
+  const notName = new Set([...vocabulary, ...ordinary].map(w => String(w).toLowerCase()).filter(w => !profNames.has(w)));
+  const isNameWord = w => !STOP_WORDS.has(w.toLowerCase()) && !notName.has(w.toLowerCase()) && NAME_SHAPE.test(w);
+  const aboutProfessors = sentence => PROFESSOR_CUE.test(sentence) || new RegExp(TITLE).test(sentence) ||
+    roster.some(p => mentions(sentence, p.name) || mentions(sentence, nameWords(p.name).pop() || p.name));
+
+  const kbDates = deadlines.flatMap(d => findDates(d?.date));
+
+  // person-looking names in `text` -> [{ name, words, titled }]
+  function personNames(text) {
+    const out = [];
+    for (const sentence of sentences(text)) {
+      const start = sentence.search(/\S/);
+      const cued = aboutProfessors(sentence);
+      for (const m of sentence.matchAll(NAME_RE)) {
+        const titled = !!m[1];
+        if (!titled && !cued) continue;
+        // "Nahrin Rashid's" -> "Nahrin Rashid"; middle initials don't matter
+        let ws = m[2].split(/[ \t]+/).map(w => w.replace(/['’]s$/, "")).filter(w => !/^\p{Lu}\.?$/u.test(w));
+        // "Try Amanda Lien": stop words in front, and a capitalized sentence opener
+        // in front of a full name ("Definitely Amanda Lien")
+        while (!titled && ws.length && STOP_WORDS.has(ws[0].toLowerCase())) ws = ws.slice(1);
+        if (!titled && ws.length >= 3 && m.index === start) ws = ws.slice(1);
+        if (!ws.length || !ws.every(isNameWord)) continue;
+        if (!titled && (ws.length < 2 || ws.length > 3)) continue;
+        const name = ws.join(" ");
+        if (entityText && mentions(entityText, name)) continue;
+        out.push({ name, words: ws.map(w => w.toLowerCase()), titled });
+      }
+    }
+    return out;
+  }
+
+  return {
+    check(text, { snippets = [], hits = [], userMessage = "", today = new Date() } = {}) {
+      const issues = [];
+      const hitProfs = hits.flatMap(hitProfessors).filter(p => p?.name);
+      const known = [...professors.filter(p => p?.name), ...hitProfs];
+      const snippetText = snippets.join("\n");
+      const haystack = `${snippetText}\n${userMessage}`;
+
+      // 1) names
+      const seen = new Set();
+      for (const { name, words, titled } of personNames(text)) {
+        if (seen.has(name)) continue;
+        seen.add(name);
+        const inKB = known.some(p => {
+          const pw = nameWords(p.name);
+          return titled && words.length === 1 ? pw.includes(words[0]) : words.every(w => pw.includes(w));
+        });
+        if (!inKB && !mentions(haystack, name)) {
+          issues.push({ kind: "name", value: name, message: `"${name}" is not a professor in the KB or the snippets` });
+        }
+      }
+
+      // 2) ratings: the professor named in the same sentence, else any rating the snippets show
+      const ratingsOf = list => list.flatMap(p => [p.rating, p.adjusted_rating]).filter(x => typeof x === "number").map(round1);
+      const snippetRatings = new Set([...findRatings(snippetText).map(r => round1(r.value)), ...ratingsOf(hitProfs)]);
+      for (const sentence of sentences(text)) {
+        const quoted = findRatings(sentence);
+        if (!quoted.length) continue;
+        const named = known.filter(p => mentions(sentence, p.name) || mentions(sentence, nameWords(p.name).pop() || p.name));
+        // a name can have several records (KB + web result + comparison row); any of their ratings is fine
+        const allowed = named.length ? new Set(ratingsOf(named)) : snippetRatings;
+        for (const r of quoted) {
+          if (allowed.has(round1(r.value))) continue;
+          const who = [...new Set(named.map(p => p.name))].join(" / ");
+          issues.push({ kind: "rating", value: r.text, message: `rating ${r.value} doesn't match ${who ? `the KB for ${who}` : "any rating in the snippets"}` });
+        }
+      }
+
+      // 3) dates
+      const allowedDates = [...kbDates, ...findDates(snippetText),
+        { m: today.getMonth() + 1, d: today.getDate(), y: today.getFullYear() }];
+      for (const date of findDates(text)) {
+        const ok = allowedDates.some(a => a.m === date.m && a.d === date.d && (a.y == null || date.y == null || a.y === date.y));
+        if (!ok) issues.push({ kind: "date", value: date.text, message: `"${date.text}" is not a date in the KB or the snippets` });
+      }
+
+      return issues;
+    }
+  };
+}
+
+// where a streamed buffer can be cut: the same boundaries `sentences` splits on
+const BOUNDARY = /(?<=[.!?])(?<!\b(?:Dr|Prof|Mr|Mrs|Ms)\.)\s+|\n+/g;
+
+// push(delta) as the model streams, end() when it's done. Each complete sentence
+// is relayed once isClean(sentence) passes; after the first one that doesn't,
+// nothing more is (`held` turns true, and the caller sends a corrected reply).
+export function createSentenceGate(isClean, relay) {
+  let pending = "";
+  let held = false;
+  const pass = text => {
+    if (held || !text) return;
+    if (isClean(text)) relay(text);
+    else held = true;
+  };
+  return {
+    push(delta) {
+      pending += delta;
+      let cut = 0;
+      // a boundary at the very end may still grow ("\n" + "\n"), so wait for more
+      for (const m of pending.matchAll(BOUNDARY)) if (m.index + m[0].length < pending.length) cut = m.index + m[0].length;
+      if (cut) {
+        pass(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+    },
+    end() {
+      pass(pending);
+      pending = "";
+    },
+    get held() {
+      return held;
+    }
+  };
+}
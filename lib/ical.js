@@ -0,0 +1,97 @@
+import crypto from "crypto";
+import { parseDeadlineDate, parseTerm, termKey } from "./deadlines.js";
+
+// ---- iCalendar (RFC 5545) feed for KB deadlines ----
+// UIDs hash the school id + term + description (not the date), so when a date
+// is corrected in the KB, subscribed calendars move the existing event instead
+// of adding a second one.
+
+function escapeText(s) {
+  return String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// lines longer than 75 octets are folded with CRLF + space
+function fold(line) {
+  const bytes = Buffer.from(line, "utf-8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // don't split a UTF-8 char
+    parts.push(bytes.subarray(start, end).toString("utf-8"));
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+const pad = n => String(n).padStart(2, "0");
+const ymd = d => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+const utcStamp = d => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+export function deadlineUid(schoolId, d) {
+  const h = crypto.createHash("sha1").update(`${schoolId}|${d.term}|${d.category}|${d.description}`.toLowerCase()).digest("hex");
+  return `${h.slice(0, 20)}@${schoolId}.counselor-bot`;
+}
+
+// filter by ?term=Fall 2025 and ?category=withdraw (case-insensitive, comma lists ok)
+export function filterDeadlines(deadlines, { term, category } = {}) {
+  const terms = (term || "").split(",").map(t => parseTerm(t)).filter(Boolean).map(termKey);
+  const cats = (category || "").split(",").map(c => c.trim().toLowerCase()).filter(Boolean);
+  return (deadlines || []).filter(d =>
+    (!terms.length || terms.includes(termKey(parseTerm(d.term)))) &&
+    (!cats.length || cats.some(c => (d.category || "").toLowerCase().includes(c)))
+  );
+}
+
+export function deadlinesToICS(deadlines, { schoolId, school = {}, now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//College Counselor Bot//Deadlines//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`${school.name || schoolId} deadlines`)}`,
+    "X-PUBLISHED-TTL:PT12H"
+  ];
+
+  for (const d of deadlines || []) {
+    const date = parseDeadlineDate(d);
+    if (!date) continue;
+    const next = new Date(date);
+    next.setDate(next.getDate() + 1);
+
+    const description = [
+      d.description,
+      d.time ? `Time: ${d.time}` : "",
+      d.notes ? `Notes: ${d.notes}` : "",
+      school.website ? `More info: ${school.website}` : ""
+    ].filter(Boolean).join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${deadlineUid(schoolId, d)}`,
+      `DTSTAMP:${utcStamp(now)}`,
+      `DTSTART;VALUE=DATE:${ymd(date)}`,
+      `DTEND;VALUE=DATE:${ymd(next)}`,
+      `SUMMARY:${escapeText(`${d.description} (${d.term})`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `CATEGORIES:${escapeText(d.category)}`,
+      ...(school.website ? [`URL:${school.website}`] : []),
+      "TRANSP:TRANSPARENT",
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(`Tomorrow: ${d.description}`)}`,
+      "TRIGGER:-P1D",
+      "END:VALARM",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,164 @@
+// ---- Multi-label intent classifier ----
+// classifyIntents(text, facts) -> [{ intent, confidence, cues }], most confident first.
+// Each intent adds up weighted cues (patterns in the message, plus facts the
+// caller looked up: professors named, course codes, campuses, majors, session
+// state) and squashes the total to 0..1. Every intent at or above
+// INTENT_THRESHOLD is returned, so "Best prof for MATH 1A and when's the drop
+// deadline?" is prof_ranking + deadline; nothing above it -> [generic].
+//
+// Labelled examples live in data/intent-examples.jsonl; `npm run eval:intents`
+// scores the cues against them (per-intent precision / recall).
+import { canonCode } from "./requirements.js";
+
+export const INTENT_THRESHOLD = 0.5;
+const BIAS = 3.5; // a total of 3.5 is a coin flip
+
+const words = s => (s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().split(/\s+/).filter(Boolean);
+
+// "all the UCs" / "every campus"
+export const ALL_UCS_RE = /\b(all|every|multiple|several)\s+(the\s+)?(ucs|uc campuses|campuses)\b/i;
+
+// [weight, RegExp over the lowercased message | (facts, q) => boolean, label]
+const CUES = {
+  major_plan: [
+    [5, /\b(make|build|create|give|draft|generate|write|map out)\b.*\b(plan|roadmap)\b/, "asks for a plan"],
+    [5, /\b(education|ed|transfer|quarter[- ]by[- ]quarter|two[- ]year|2[- ]year)\s+(plan|roadmap|schedule)\b/, "names a plan"],
+    [1, /\b(plan|roadmap)\b/, "plan word"],
+    [1, f => f.majors || f.campuses > 0, "major or campus named"]
+  ],
+  major_progress: [
+    [3, /\b(still need|need to take|do i need|left to take|what'?s left|have left|remaining|missing|what else)\b/, "asks what's left"],
+    [1.5, /\b(taken|took|completed|finished|done with|passed)\b/, "says what's done"],
+    [1.5, /\b(major|transfer|requirements?)\b/, "major wording"],
+    [1.5, f => f.majors || f.campuses > 0, "major or campus named"],
+    [1, f => f.profileCampuses > 0, "profile has campuses"]
+  ],
+  major_overlap: [
+    [5, ALL_UCS_RE, "all campuses"],
+    [2.5, /\b(overlap|overlaps|overlapping|in common|shared)\b/, "overlap wording"],
+    [1.5, /\b(common|both|cover|covers|all of them|every)\b/, "coverage wording"],
+    [2, f => f.campuses >= 2, "two+ campuses named"],
+    [1.5, f => f.profileCampuses >= 2, "two+ profile campuses"]
+  ],
+  major_requirements: [
+    [2.5, f => f.majors, "major named"],
+    [1.5, f => f.campuses > 0, "campus named"],
+    [1, /\buc\b/, "UC"],
+    [1.5, /\b(requirement|requirements|prereq|prereqs|prerequisite|prerequisites|courses|course list|classes|curriculum)\b/, "asks for requirements"],
+    [2, /\b(lower[- ]div(ision)?|upper[- ]div(ision)?|articulat\w*|assist(\.org)?)\b/, "transfer wording"]
+  ],
+  prof_compare: [
+    [4, f => f.professors >= 2, "two+ professors named"],
+    [1.5, /\b(vs\.?|versus|or|compare|comparison|better|between|difference)\b/, "comparison wording"]
+  ],
+  prof_lookup: [
+    [4.5, f => f.professors === 1, "one professor named"],
+    [1, /\b(prof|professor|teacher|instructor|rating|ratings|reviews?|like|good|teach|teaches)\b/, "asks about a person"]
+  ],
+  prof_ranking: [
+    [5, /\b(best|top|easiest|good|great|recommended)\s+(prof|profs|professor|professors|teacher|teachers|instructor|instructors)\b/, "best professor"],
+    [4, /\b(second|2nd|third|3rd|next)[- ]best\b/, "n-th best"],
+    [4, /\b(profs?|professors?|teachers?|instructors?)\s+(is|are)\s+(the\s+)?(best|easiest|top)\b/, "which teacher is best"],
+    [4, /\bwho\s+teaches\b.*\b(best|easiest)\b/, "who teaches it best"],
+    [2.5, /\bwho('?s| is)?\s+(the\s+)?(best|easiest|top)\b/, "who's best"],
+    [2, /\b(rank|ranked|ranking|rankings)\b/, "ranking wording"],
+    [1.5, /\b(prof|profs|professors?|teachers?|instructors?)\b/, "professor wording"],
+    [1, f => f.courses > 0, "course named"]
+  ],
+  class_full: [
+    [4.5, /\b(waitlist|wait list|waitlisted|no (open )?seats|no spots|add code|closed)\b/, "class closed"],
+    [4.5, /\b(is|was|are|it'?s|already|totally|completely|class|section)\s+full\b/, "class full"],
+    [2, /\bwho should i take\b/, "who should I take"],
+    [2, /\b(instead|another|backup|other option|someone else)\b/, "wants an alternative"],
+    [1.5, f => f.lastCourse, "course in context"]
+  ],
+  tutoring: [
+    [5, /\b(tutor|tutors|tutoring|stem center|writing center|study group|homework help|study help)\b/, "tutoring wording"]
+  ],
+  deadline: [
+    [4.5, /\b(deadlines?|last day|due date|calendar|census date|registration (date|opens|window))\b/, "deadline wording"],
+    [4.5, /\b(drop|withdraw|add)\s+(a |my |the |this |that )?(class|classes|course|courses)\b/, "add/drop a class"],
+    [2.5, /\b(drop|dropping|withdraw|withdrawing|withdrawal|add\/drop|finals|registration|register)\b/, "add/drop wording"],
+    [3, /\b(pay|paying|payment|fees?|tuition)\b/, "paying fees"],
+    [1.5, /\b(refund|refunds|census)\b/, "refund wording"],
+    // "add" alone is too common ("add it to my plan"); with a course named it counts
+    [2, (f, q) => f.courses > 0 && /\b(add|adding)\b/.test(q), "adding a named course"],
+    [1.5, /\b(when|what date|how many days|how long|by when|until)\b/, "asks when"]
+  ]
+};
+
+export const INTENTS = [...Object.keys(CUES), "generic"];
+
+export function classifyIntents(text, facts = {}) {
+  const q = (text || "").toLowerCase();
+  const scored = Object.entries(CUES).map(([intent, cues]) => {
+    const hit = cues.filter(([, test]) => (test instanceof RegExp ? test.test(q) : test(facts, q)));
+    const total = hit.reduce((sum, [w]) => sum + w, 0);
+    return { intent, confidence: Math.round(1000 / (1 + Math.exp(BIAS - total))) / 1000, cues: hit.map(([, , label]) => label) };
+  });
+  const found = scored.filter(s => s.confidence >= INTENT_THRESHOLD).sort((a, b) => b.confidence - a.confidence);
+  if (found.length) return found;
+  const best = Math.max(0, ...scored.map(s => s.confidence));
+  return [{ intent: "generic", confidence: Math.round((1 - best) * 1000) / 1000, cues: [] }];
+}
+
+// Professors named in a message, in order of appearance (full names, then last
+// names not already part of a full-name match). A last name shared by several
+// professors (two Nguyens) is one mention with several candidates.
+// Last names in `everydayNames` (the KB's aliases.everyday_names, lowercased:
+// "read", "case") only count capitalized.
+export function professorMentions(q, professors = [], { everydayNames = new Set() } = {}) {
+  const text = ` ${words(q).join(" ")} `;
+  const capitalized = new Set((q || "").split(/[^A-Za-z0-9]+/).filter(w => /^[A-Z]/.test(w)).map(w => w.toLowerCase()));
+  const profs = professors.filter(p => p.name);
+  const mentions = [];
+  const claimed = []; // [start, end) of full-name matches
+  for (const p of profs) {
+    const full = words(p.name).join(" ");
+    const at = text.indexOf(` ${full} `);
+    if (at >= 0) {
+      mentions.push({ at, candidates: [p] });
+      claimed.push([at, at + full.length + 1]);
+    }
+  }
+  const byLast = new Map();
+  for (const p of profs) {
+    const last = words(p.name).pop();
+    if (!byLast.has(last)) byLast.set(last, []);
+    byLast.get(last).push(p);
+  }
+  for (const [last, candidates] of byLast) {
+    if (everydayNames.has(last) && !capitalized.has(last)) continue;
+    const re = new RegExp(` ${last} `, "g");
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (!claimed.some(([a, b]) => m.index >= a && m.index < b)) mentions.push({ at: m.index, candidates });
+      re.lastIndex = m.index + 1;
+    }
+  }
+  const seen = new Set();
+  return mentions
+    .sort((a, b) => a.at - b.at)
+    .filter(m => {
+      const key = m.candidates.map(p => p.name).join("|");
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// What the cues need to know beyond the words: db is the school KB, validCodes
+// its course codes, aliases its compiled alias tables (lib/aliases.js).
+export function intentFacts(text, { db, validCodes, aliases, session } = {}) {
+  const codes = [...(text || "").toUpperCase().matchAll(/\b([A-Z]{2,5})\s?(\d{1,3}[A-Z]?)\b/g)]
+    .map(m => canonCode(`${m[1]} ${m[2]}`))
+    .filter(c => validCodes.has(c));
+  return {
+    professors: professorMentions(text, db.professors, { everydayNames: aliases.everydayNames }).length,
+    courses: codes.length || (aliases.courseAlias(text) ? 1 : 0),
+    campuses: aliases.campusHints(text).length,
+    majors: aliases.majorsMentioned(text).length > 0,
+    profileCampuses: session?.profile?.campuses?.length || 0,
+    lastCourse: !!session?.lastCourse
+  };
+}
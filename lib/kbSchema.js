@@ -0,0 +1,362 @@
+// ---- Schema + consistency checks for data/school.json ----
+// validateKB(db) -> [{ level: "error"|"warning", path: "$.deadlines[0].date", message }]
+// Errors are things the bot would silently get wrong (bad dates, dangling
+// names/codes); warnings are worth fixing but harmless at runtime.
+import { parseCalendarDate } from "./deadlines.js";
+
+const str = (extra = {}) => ({ type: "string", ...extra });
+const num = (extra = {}) => ({ type: "number", ...extra });
+const strList = (extra = {}) => ({ type: "array", items: str(), ...extra });
+
+export const KB_SCHEMA = {
+  type: "object",
+  fields: {
+    school: {
+      type: "object",
+      required: true,
+      fields: {
+        name: str({ required: true }),
+        website: str({ format: "url" })
+      }
+    },
+    deadlines: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          term: str({ required: true }),
+          category: str({ required: true }),
+          description: str({ required: true }),
+          date: str({ required: true, format: "date" }),
+          time: str(),
+          keywords: strList(),
+          notes: str()
+        }
+      }
+    },
+    professors: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          name: str({ required: true }),
+          department: str({ required: true }),
+          courses: strList({ format: "courseCode" }),
+          rating: num({ min: 0, max: 5 }),
+          num_ratings: num({ min: 0, integer: true }),
+          difficulty: num({ min: 1, max: 5 }),           // RMP-style level of difficulty
+          would_take_again: num({ min: 0, max: 100 }),   // percent
+          rmp_url: str({ format: "url" }),
+          reviews: str(),
+          provenance: {
+            type: "map", // { "rating": { source, date } }, written by scripts/import-ratings.js
+            values: {
+              type: "object",
+              fields: {
+                source: str({ required: true }),
+                date: str({ required: true, format: "date" })
+              }
+            }
+          }
+        }
+      }
+    },
+    courses: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          code: str({ required: true, format: "courseCode" }),
+          title: str({ required: true }),
+          department: str({ required: true }),
+          units: num({ min: 0 }),
+          prerequisites: strList({ format: "courseCode" }), // all required; feeds the education planner
+          description: str(),
+          notes: str()
+        }
+      }
+    },
+    rankings: {
+      type: "map", // { "MATH 1A": [ ... ] }
+      keyFormat: "courseCode",
+      values: {
+        type: "array",
+        items: {
+          type: "object",
+          fields: {
+            name: str({ required: true }),
+            tags: strList(),
+            rank: num({ min: 1, integer: true }),
+            notes: str()
+          }
+        }
+      }
+    },
+    faq: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          q: str({ required: true }),
+          a: str({ required: true }),
+          keywords: strList()
+        }
+      }
+    },
+    majors: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          campus: str({ required: true }),
+          program: str({ required: true }),
+          aliases: strList(),
+          lower_division: strList({ required: true }),
+          upper_division: strList(),
+          notes: str(),
+          source_url: str({ format: "url" })
+        }
+      }
+    },
+    aliases: {
+      type: "object", // how students name things (see lib/aliases.js)
+      fields: {
+        courses: { type: "map", keyFormat: "courseCode", values: strList() },     // { "MATH 1A": ["calc 1"] }
+        departments: {
+          type: "map", // { "MATH": { name, aliases } }
+          keyFormat: "deptCode",
+          values: {
+            type: "object",
+            fields: {
+              name: str({ required: true }),
+              aliases: strList()
+            }
+          }
+        },
+        campuses: { type: "map", values: strList() },                              // { "UC San Diego": ["ucsd"] }
+        everyday_names: strList()                                                  // ["Read"]: last names only meant capitalized
+      }
+    }
+  }
+};
+
+const COURSE_CODE_RE = /^[A-Z]{2,5} \d{1,3}[A-Z]?$/;
+const DEPT_CODE_RE = /^[A-Z]{2,5}$/;
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  return typeof v;
+}
+
+function checkFormat(format, value, path, issues) {
+  if (format === "date" && !parseCalendarDate(value)) {
+    issues.push({ level: "error", path, message: `date "${value}" should be a real day with a year, like "October 5, 2025" or "2025-10-05"` });
+  }
+  if (format === "url") {
+    if (/placeholder/i.test(value)) {
+      issues.push({ level: "warning", path, message: `placeholder URL "${value}"` });
+    } else if (value && !/^https?:\/\/\S+$/.test(value)) {
+      issues.push({ level: "error", path, message: `not an http(s) URL: "${value}"` });
+    }
+  }
+  if (format === "courseCode" && !COURSE_CODE_RE.test(value)) {
+    issues.push({ level: "error", path, message: `course code "${value}" should look like "MATH 1A"` });
+  }
+  if (format === "deptCode" && !DEPT_CODE_RE.test(value)) {
+    issues.push({ level: "error", path, message: `department code "${value}" should look like "MATH"` });
+  }
+}
+
+function checkNode(spec, value, path, issues) {
+  const kind = spec.type === "map" ? "object" : spec.type;
+  if (typeOf(value) !== kind) {
+    issues.push({ level: "error", path, message: `expected ${kind}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (spec.type === "string") {
+    if (spec.format) checkFormat(spec.format, value, path, issues);
+    return;
+  }
+
+  if (spec.type === "number") {
+    if (spec.integer && !Number.isInteger(value)) issues.push({ level: "error", path, message: "expected an integer" });
+    if (spec.min != null && value < spec.min) issues.push({ level: "error", path, message: `must be >= ${spec.min}` });
+    if (spec.max != null && value > spec.max) issues.push({ level: "error", path, message: `must be <= ${spec.max}` });
+    return;
+  }
+
+  if (spec.type === "array") {
+    if (spec.required && value.length === 0) issues.push({ level: "warning", path, message: "is empty" });
+    value.forEach((item, i) => {
+      const itemSpec = spec.format ? { ...spec.items, format: spec.format } : spec.items;
+      checkNode(itemSpec, item, `${path}[${i}]`, issues);
+    });
+    return;
+  }
+
+  if (spec.type === "map") {
+    for (const [k, v] of Object.entries(value)) {
+      const p = `${path}[${JSON.stringify(k)}]`;
+      if (spec.keyFormat) checkFormat(spec.keyFormat, k, p, issues);
+      checkNode(spec.values, v, p, issues);
+    }
+    return;
+  }
+
+  // object
+  for (const [key, fieldSpec] of Object.entries(spec.fields || {})) {
+    const v = value[key];
+    if (v === undefined || v === null || v === "") {
+      if (fieldSpec.required) issues.push({ level: "error", path: `${path}.${key}`, message: "is required" });
+      continue;
+    }
+    checkNode(fieldSpec, v, `${path}.${key}`, issues);
+  }
+  for (const key of Object.keys(value)) {
+    if (spec.fields && !(key in spec.fields)) {
+      issues.push({ level: "warning", path: `${path}.${key}`, message: "unknown field" });
+    }
+  }
+}
+
+const normName = s => (s || "").toLowerCase().trim();
+const normCode = s => (s || "").toUpperCase().replace(/[\s-]+/g, " ").trim();
+
+// Cross-section checks the per-field schema can't express
+function checkReferences(db, issues) {
+  const profs = Array.isArray(db.professors) ? db.professors : [];
+  const courses = Array.isArray(db.courses) ? db.courses : [];
+
+  // duplicate professors (the boot-time merge folds these together silently)
+  const firstSeen = new Map();
+  profs.forEach((p, i) => {
+    const key = normName(p?.name);
+    if (!key) return;
+    if (firstSeen.has(key)) {
+      issues.push({ level: "warning", path: `$.professors[${i}]`, message: `duplicate of $.professors[${firstSeen.get(key)}] ("${p.name}"); records will be merged` });
+    } else {
+      firstSeen.set(key, i);
+    }
+  });
+
+  // duplicate course codes
+  const codes = new Map();
+  courses.forEach((c, i) => {
+    const code = normCode(c?.code);
+    if (!code) return;
+    if (codes.has(code)) issues.push({ level: "error", path: `$.courses[${i}].code`, message: `duplicate course code "${c.code}" (also $.courses[${codes.get(code)}])` });
+    else codes.set(code, i);
+  });
+
+  // professors[].courses must exist in courses
+  profs.forEach((p, i) => {
+    (Array.isArray(p?.courses) ? p.courses : []).forEach((c, j) => {
+      if (typeof c === "string" && !codes.has(normCode(c))) {
+        issues.push({ level: "error", path: `$.professors[${i}].courses[${j}]`, message: `course "${c}" is not listed in $.courses` });
+      }
+    });
+  });
+
+  // provenance is per field, so its keys must name professor fields
+  const profFields = KB_SCHEMA.fields.professors.items.fields;
+  profs.forEach((p, i) => {
+    const prov = p?.provenance;
+    if (!prov || typeof prov !== "object" || Array.isArray(prov)) return;
+    for (const field of Object.keys(prov)) {
+      if (!(field in profFields) || field === "provenance") {
+        issues.push({ level: "warning", path: `$.professors[${i}].provenance.${field}`, message: `"${field}" is not a professor field` });
+      }
+    }
+  });
+
+  // prerequisites: warn on codes we know nothing about, error on cycles (no valid plan exists)
+  const prereqs = new Map();
+  courses.forEach((c, i) => {
+    const list = Array.isArray(c?.prerequisites) ? c.prerequisites.filter(x => typeof x === "string") : [];
+    list.forEach((code, j) => {
+      if (!codes.has(normCode(code))) issues.push({ level: "warning", path: `$.courses[${i}].prerequisites[${j}]`, message: `prerequisite "${code}" is not listed in $.courses` });
+    });
+    if (c?.code) prereqs.set(normCode(c.code), list.map(normCode));
+  });
+  const state = new Map(); // code -> "visiting" | "done"
+  const visit = (code, trail) => {
+    if (state.get(code) === "done") return;
+    if (state.get(code) === "visiting") {
+      const cycle = trail.slice(trail.indexOf(code)).concat(code);
+      issues.push({ level: "error", path: `$.courses[${codes.get(code)}].prerequisites`, message: `prerequisite cycle: ${cycle.join(" → ")}` });
+      return;
+    }
+    state.set(code, "visiting");
+    for (const p of prereqs.get(code) || []) visit(p, trail.concat(code));
+    state.set(code, "done");
+  };
+  for (const code of prereqs.keys()) visit(code, []);
+
+  // rankings must point at known courses and professors
+  const rankings = db.rankings && typeof db.rankings === "object" && !Array.isArray(db.rankings) ? db.rankings : {};
+  for (const [code, list] of Object.entries(rankings)) {
+    const base = `$.rankings[${JSON.stringify(code)}]`;
+    if (!codes.has(normCode(code))) issues.push({ level: "warning", path: base, message: `ranked course "${code}" is not listed in $.courses` });
+    if (!Array.isArray(list)) continue;
+    const ranks = new Set();
+    list.forEach((r, i) => {
+      if (r?.name && !firstSeen.has(normName(r.name))) {
+        issues.push({ level: "error", path: `${base}[${i}].name`, message: `"${r.name}" has no matching record in $.professors` });
+      }
+      if (r?.rank != null) {
+        if (ranks.has(r.rank)) issues.push({ level: "warning", path: `${base}[${i}].rank`, message: `rank ${r.rank} used more than once` });
+        ranks.add(r.rank);
+      }
+    });
+  }
+}
+
+// alias tables: known targets, and no phrase pointing two ways
+function checkAliases(db, issues) {
+  const table = db.aliases && typeof db.aliases === "object" ? db.aliases : {};
+  const courses = new Set((Array.isArray(db.courses) ? db.courses : []).map(c => normCode(c?.code)));
+  const campuses = new Set((Array.isArray(db.majors) ? db.majors : []).map(m => m?.campus));
+  const sections = [
+    ["courses", code => courses.has(normCode(code)), "is not listed in $.courses", v => v],
+    ["departments", null, null, v => v?.aliases],
+    ["campuses", name => campuses.has(name), "has no major in $.majors", v => v]
+  ];
+  for (const [section, known, missing, phrasesOf] of sections) {
+    const entries = table[section] && typeof table[section] === "object" ? Object.entries(table[section]) : [];
+    const owner = new Map();
+    for (const [key, value] of entries) {
+      const base = `$.aliases.${section}[${JSON.stringify(key)}]`;
+      if (known && !known(key)) issues.push({ level: "warning", path: base, message: `"${key}" ${missing}` });
+      const phrases = Array.isArray(phrasesOf(value)) ? phrasesOf(value) : [];
+      phrases.forEach(p => {
+        const norm = normName(p);
+        if (owner.has(norm) && owner.get(norm) !== key) {
+          issues.push({ level: "error", path: base, message: `alias "${p}" is also listed under "${owner.get(norm)}"` });
+        }
+        owner.set(norm, key);
+      });
+    }
+  }
+  const lastNames = new Set((Array.isArray(db.professors) ? db.professors : []).map(p => normName(p?.name).split(/\s+/).pop()));
+  (Array.isArray(table.everyday_names) ? table.everyday_names : []).forEach((name, i) => {
+    if (!lastNames.has(normName(name))) {
+      issues.push({ level: "warning", path: `$.aliases.everyday_names[${i}]`, message: `"${name}" is not a professor's last name` });
+    }
+  });
+}
+
+export function validateKB(db) {
+  const issues = [];
+  checkNode(KB_SCHEMA, db, "$", issues);
+  if (typeOf(db) === "object") {
+    checkReferences(db, issues);
+    checkAliases(db, issues);
+  }
+  return issues;
+}
+
+export function formatIssues(issues) {
+  return issues.map(i => `${i.level === "error" ? "❌" : "⚠️ "} ${i.path}: ${i.message}`).join("\n");
+}
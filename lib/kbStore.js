@@ -0,0 +1,42 @@
+import fs from "fs";
+import path from "path";
+
+// ---- Raw KB file I/O for admin edits ----
+// Admin writes always start from the file on disk (not the merged in-memory
+// SCHOOL_DB), are saved via temp file + rename, and keep rolling backups.
+
+export function readRawKB(file) {
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+export function writeKBAtomic(file, db, opts = {}) {
+  const { backupDir = path.join(path.dirname(file), "backups"), keep = 10 } = opts;
+
+  if (fs.existsSync(file)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    fs.copyFileSync(file, path.join(backupDir, `${path.basename(file, ".json")}-${stamp}.json`));
+
+    // keep only the newest `keep` backups
+    const old = fs.readdirSync(backupDir)
+      .filter(f => f.startsWith(`${path.basename(file, ".json")}-`))
+      .sort()
+      .slice(0, -keep);
+    for (const f of old) fs.unlinkSync(path.join(backupDir, f));
+  }
+
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+  return fs.statSync(file).mtimeMs;
+}
+
+// one write at a time, so concurrent admin requests can't lose each other's edits
+export function createWriteQueue() {
+  let tail = Promise.resolve();
+  return fn => {
+    const run = tail.then(fn, fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
@@ -0,0 +1,151 @@
+import fetch from "node-fetch";
+
+// ---- LLM providers ----
+// Every provider exposes the same two calls:
+//   chat({ messages, temperature, max_tokens, snippets, onDelta, signal }) -> { content, usage }
+//   embed(texts[]) -> number[][]   (one vector per input, same order)
+// `snippets` are the formatted KB hits the messages were grounded on; remote
+// models ignore them, the local provider answers from them directly.
+// With `onDelta(text)`, chat streams: onDelta gets each chunk as it arrives and
+// the resolved content is still the full text. `signal` aborts the call.
+
+export function createOpenAIProvider(opts = {}) {
+  const {
+    apiKey = process.env.OPENAI_API_KEY,
+    chatModel = process.env.OPENAI_CHAT_MODEL || "gpt-4o-mini",
+    embedModel = process.env.OPENAI_EMBED_MODEL || "text-embedding-3-small", // cheap + good
+    baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+  } = opts;
+
+  function request(path, body, signal) {
+    return fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${apiKey}`
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+  }
+
+  async function post(path, body, signal) {
+    const r = await request(path, body, signal);
+    const data = await r.json();
+    if (data.error) throw new Error(data.error.message);
+    return data;
+  }
+
+  // chat completions with stream: true -> relay each content delta
+  async function streamChat(body, onDelta, signal) {
+    const r = await request("/chat/completions", { ...body, stream: true, stream_options: { include_usage: true } }, signal);
+    if (!r.ok) {
+      const data = await r.json().catch(() => ({}));
+      throw new Error(data.error?.message || `HTTP ${r.status}`);
+    }
+
+    let content = "";
+    let usage;
+    let buffer = "";
+    for await (const chunk of r.body) {
+      buffer += chunk.toString("utf-8");
+      const lines = buffer.split("\n");
+      buffer = lines.pop(); // keep a partial line for the next chunk
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !payload || payload === "[DONE]") continue;
+        const data = JSON.parse(payload);
+        if (data.error) throw new Error(data.error.message);
+        if (data.usage) usage = data.usage;
+        const delta = data.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      }
+    }
+    return { content, usage };
+  }
+
+  return {
+    name: "openai",
+    chatModel,
+    embedModel,
+
+    async chat({ messages, temperature = 0.5, max_tokens = 400, onDelta, signal }) {
+      const body = { model: chatModel, temperature, max_tokens, messages };
+      if (onDelta) return streamChat(body, onDelta, signal);
+      const data = await post("/chat/completions", body, signal);
+      return { content: data.choices[0].message.content, usage: data.usage };
+    },
+
+    async embed(texts) {
+      const data = await post("/embeddings", { model: embedModel, input: texts });
+      return data.data
+        .slice()
+        .sort((a, b) => a.index - b.index)
+        .map(d => d.embedding);
+    }
+  };
+}
+
+// --- Local, deterministic provider (tests, demos without network) ---
+const LOCAL_DIM = 256;
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// hashed bag-of-words: each token bumps one bucket (signed, to spread collisions)
+export function hashEmbed(text, dim = LOCAL_DIM) {
+  const v = new Array(dim).fill(0);
+  const tokens = (text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().split(/\s+/).filter(Boolean);
+  for (const t of tokens) {
+    const h = fnv1a(t);
+    v[h % dim] += (h & 0x80000000) ? -1 : 1;
+  }
+  const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+export function createLocalProvider(opts = {}) {
+  const { dim = LOCAL_DIM, maxSnippets = 2 } = opts;
+  return {
+    name: "local",
+    chatModel: "local-template",
+    embedModel: `local-hash-${dim}`,
+
+    async chat({ snippets = [], onDelta, signal }) {
+      // cite each snippet by its position, like a model following the [n] rule would
+      const used = snippets.map((snip, i) => snip && `${snip} [${i + 1}]`).filter(Boolean).slice(0, maxSnippets);
+      const content = used.length
+        ? `Here’s what I found in the local knowledge base:\n\n${used.join("\n\n")}`
+        : `I don’t have that in the local knowledge base yet. Try asking with an exact course code (e.g., "MATH 1A"), or check the college website.`;
+      if (onDelta) {
+        // word-sized chunks, so streaming clients see the same shape as a real model
+        for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+          if (signal?.aborted) throw new Error("aborted");
+          onDelta(piece);
+        }
+      }
+      return { content, usage: { provider: "local" } };
+    },
+
+    async embed(texts) {
+      return texts.map(t => hashEmbed(t, dim));
+    }
+  };
+}
+
+// LLM_PROVIDER=openai|local; defaults to openai when a key is configured
+export function providerFromEnv(env = process.env) {
+  const kind = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "local")).toLowerCase();
+  if (kind === "openai") return createOpenAIProvider();
+  if (kind !== "local") console.warn(`⚠️ Unknown LLM_PROVIDER "${kind}", using local`);
+  return createLocalProvider();
+}
@@ -0,0 +1,149 @@
+// ---- Quarter-by-quarter education plan ----
+// Takes one major's lower-division requirements, drops what's already done,
+// picks the smallest course set covering the rest (see minimalCover), adds any
+// missing prerequisites from courses[].prerequisites, then fills quarters up to
+// a unit cap. Longest prerequisite chains go first so sequences like
+// MATH 1A -> 1B -> 1C -> 1D start as early as possible.
+import { canonCode, compareCodes, minimalCover, parseMajorRequirements } from "./requirements.js";
+import { currentTerms, nextTerm, termName } from "./deadlines.js";
+
+export const DEFAULT_UNIT_CAP = 15;
+const DEFAULT_UNITS = 5; // quarter units assumed for courses missing from the catalog
+const MAX_TERMS = 12;
+
+export function buildPlan(major, {
+  courses = [],
+  completed = [],
+  unitCap = DEFAULT_UNIT_CAP,
+  startTerm = currentTerms().next,
+  includeSummer = false,
+  aliases
+} = {}) {
+  const catalog = new Map(courses.map(c => [canonCode(c.code), c]));
+  const done = new Set(completed.map(canonCode));
+  const prereqsOf = code => (catalog.get(code)?.prerequisites || []).map(canonCode);
+  const unitsOf = code => catalog.get(code)?.units ?? DEFAULT_UNITS;
+
+  // 1) open requirement items, minus the courses already taken
+  const open = [];
+  const unmapped = [];
+  for (const req of parseMajorRequirements(major, aliases)) {
+    unmapped.push(...req.unmapped);
+    for (const item of req.items) {
+      if (item.oneOf.some(opt => opt.every(c => done.has(c)))) continue;
+      open.push({ ...item, oneOf: item.oneOf.map(opt => opt.filter(c => !done.has(c))) });
+    }
+  }
+
+  // 2) cheapest course set for them, plus prerequisites not yet taken
+  const reason = new Map(minimalCover(open).courses.map(c => [c, "requirement"]));
+  const queue = [...reason.keys()];
+  while (queue.length) {
+    const code = queue.shift();
+    for (const p of prereqsOf(code)) {
+      if (done.has(p) || reason.has(p)) continue;
+      reason.set(p, `prerequisite for ${code}`);
+      queue.push(p);
+    }
+  }
+  const needed = [...reason.keys()];
+
+  // 3) longest chain of needed courses each one unlocks (priority when filling a quarter)
+  const chain = new Map();
+  const chainOf = (code, seen = new Set()) => {
+    if (chain.has(code)) return chain.get(code);
+    if (seen.has(code)) return 0; // cycle; lint:kb reports it
+    seen.add(code);
+    const next = needed.filter(c => prereqsOf(c).includes(code)).map(c => chainOf(c, seen));
+    const len = 1 + Math.max(0, ...next);
+    chain.set(code, len);
+    return len;
+  };
+
+  // 4) fill quarters
+  const terms = [];
+  const taken = new Set(done);
+  let remaining = needed;
+  let term = startTerm;
+  while (remaining.length && terms.length < MAX_TERMS) {
+    if (term.season === "Summer" && !includeSummer) { term = nextTerm(term); continue; }
+    const ready = remaining
+      .filter(c => prereqsOf(c).every(p => taken.has(p)))
+      .sort((a, b) => chainOf(b) - chainOf(a) || compareCodes(a, b));
+    const picked = [];
+    let units = 0;
+    for (const code of ready) {
+      if (picked.length && units + unitsOf(code) > unitCap) continue;
+      picked.push(code);
+      units += unitsOf(code);
+    }
+    if (!picked.length) break; // only blocked courses left
+
+    terms.push({
+      term: termName(term),
+      units,
+      courses: picked.map(code => ({
+        code,
+        title: catalog.get(code)?.title || null,
+        units: unitsOf(code),
+        prerequisites: prereqsOf(code),
+        reason: reason.get(code)
+      }))
+    });
+    picked.forEach(c => taken.add(c));
+    remaining = remaining.filter(c => !picked.includes(c));
+    term = nextTerm(term);
+  }
+
+  const notes = [];
+  const uncataloged = needed.filter(c => !catalog.has(c)).sort(compareCodes);
+  if (uncataloged.length) {
+    notes.push(`Not in the course catalog (assumed ${DEFAULT_UNITS} units, no prerequisites): ${uncataloged.join(", ")}`);
+  }
+  const tooBig = needed.filter(c => unitsOf(c) > unitCap);
+  if (tooBig.length) notes.push(`Over the ${unitCap}-unit cap on their own: ${tooBig.join(", ")}`);
+
+  return {
+    campus: major.campus,
+    program: major.program,
+    unit_cap: unitCap,
+    completed: [...done].sort(compareCodes),
+    terms,
+    total_units: terms.reduce((sum, t) => sum + t.units, 0),
+    unscheduled: remaining.sort(compareCodes).map(code => ({
+      code,
+      missing_prerequisites: prereqsOf(code).filter(p => !taken.has(p))
+    })),
+    unmapped,
+    notes
+  };
+}
+
+export function planToMarkdown(plan) {
+  const lines = [
+    `# Education plan: ${plan.campus} — ${plan.program}`,
+    "",
+    `Unit cap: ${plan.unit_cap} per quarter · Completed: ${plan.completed.join(", ") || "none"} · Planned: ${plan.total_units} units`,
+    ""
+  ];
+  if (!plan.terms.length && !plan.unscheduled.length) lines.push("Nothing left to schedule — lower-division prep is covered.", "");
+  for (const t of plan.terms) {
+    lines.push(`## ${t.term} (${t.units} units)`);
+    for (const c of t.courses) {
+      const extra = c.reason === "requirement" ? "" : ` — ${c.reason}`;
+      lines.push(`- ${c.code}${c.title ? ` — ${c.title}` : ""} (${c.units})${extra}`);
+    }
+    lines.push("");
+  }
+  if (plan.unscheduled.length) {
+    lines.push("## Not scheduled");
+    for (const u of plan.unscheduled) {
+      lines.push(`- ${u.code}${u.missing_prerequisites.length ? ` (needs ${u.missing_prerequisites.join(", ")})` : ""}`);
+    }
+    lines.push("");
+  }
+  const notes = [...plan.notes];
+  if (plan.unmapped.length) notes.push(`Check with a counselor: ${plan.unmapped.join(", ")}`);
+  if (notes.length) lines.push("## Notes", ...notes.map(n => `- ${n}`), "");
+  return lines.join("\n");
+}
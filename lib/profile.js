@@ -0,0 +1,69 @@
+// ---- Student profile (one per session) ----
+// What a student tells us once so every answer can use it by default:
+//   { completed: ["MATH 1A"], campuses: ["UC San Diego"], rank_tags: ["easiest"], term: "Winter 2026" }
+import { canonCode } from "./requirements.js";
+import { parseTerm, termName } from "./deadlines.js";
+
+export const RANK_TAGS = ["best_overall", "second_best", "easiest", "best_teaching"];
+const CODE_RE = /^[A-Z]{2,5} \d{1,3}[A-Z]{0,2}$/;
+
+export function emptyProfile() {
+  return { completed: [], campuses: [], rank_tags: [], term: null };
+}
+
+const isEmpty = v => v == null || v === "";
+const asList = v => Array.isArray(v) ? v : String(v).split(",");
+
+// Merge a partial update into `current`. Returns { profile } or { error }.
+// resolveCampus maps "ucsd" -> "UC San Diego" for the active school (null if unknown).
+export function updateProfile(current, patch, { resolveCampus = c => c } = {}) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) return { error: "Expected a JSON object" };
+  const unknown = Object.keys(patch).filter(k => !(k in emptyProfile()));
+  if (unknown.length) return { error: `Unknown field(s): ${unknown.join(", ")}` };
+
+  const next = { ...emptyProfile(), ...current };
+
+  if ("completed" in patch) {
+    const codes = isEmpty(patch.completed) ? [] : asList(patch.completed).map(canonCode).filter(Boolean);
+    const bad = codes.filter(c => !CODE_RE.test(c));
+    if (bad.length) return { error: `Not course codes: ${bad.join(", ")} (expected e.g. "MATH 1A")` };
+    next.completed = [...new Set(codes)];
+  }
+
+  if ("campuses" in patch) {
+    const asked = isEmpty(patch.campuses) ? [] : asList(patch.campuses).map(s => String(s).trim()).filter(Boolean);
+    const resolved = asked.map(c => [c, resolveCampus(c)]);
+    const bad = resolved.filter(([, r]) => !r).map(([c]) => c);
+    if (bad.length) return { error: `Unknown campus: ${bad.join(", ")}` };
+    next.campuses = [...new Set(resolved.map(([, r]) => r))];
+  }
+
+  if ("rank_tags" in patch) {
+    const tags = isEmpty(patch.rank_tags) ? [] : asList(patch.rank_tags).map(s => String(s).trim()).filter(Boolean);
+    const bad = tags.filter(t => !RANK_TAGS.includes(t));
+    if (bad.length) return { error: `Unknown ranking tag(s): ${bad.join(", ")} (use ${RANK_TAGS.join(", ")})` };
+    next.rank_tags = [...new Set(tags)];
+  }
+
+  if ("term" in patch) {
+    if (isEmpty(patch.term)) next.term = null;
+    else {
+      const t = parseTerm(String(patch.term));
+      if (!t) return { error: `Can't read term "${patch.term}" (expected e.g. "Fall 2025")` };
+      next.term = termName(t);
+    }
+  }
+
+  return { profile: next };
+}
+
+// One line for the model, or "" if the student hasn't told us anything.
+export function describeProfile(p) {
+  if (!p) return "";
+  const parts = [];
+  if (p.completed?.length) parts.push(`completed ${p.completed.join(", ")}`);
+  if (p.campuses?.length) parts.push(`targeting ${p.campuses.join(", ")}`);
+  if (p.rank_tags?.length) parts.push(`prefers ${p.rank_tags.join("/")} professors`);
+  if (p.term) parts.push(`currently in ${p.term}`);
+  return parts.length ? `Student profile: ${parts.join("; ")}.` : "";
+}
@@ -0,0 +1,166 @@
+import { profKey } from "./schools.js";
+
+// ---- Professor ratings import (CSV / JSON exports) ----
+// parseRatingsExport(text, "csv"|"json") -> [{ line, name, rating, num_ratings, ... }]
+// planRatingsImport(db, rows, { source, date }) -> { changes, confirmed, unmatched, problems }
+// applyRatingsImport(db, plan) writes the values plus professors[].provenance:
+//   "provenance": { "rating": { "source": "RateMyProfessors export", "date": "2026-01-05" }, ... }
+// Rows match professors by profKey, the key the boot-time merge uses, so a row
+// updates every raw record that merges into that professor.
+
+export const RATING_FIELDS = ["rating", "num_ratings", "difficulty", "would_take_again", "rmp_url"];
+
+// export column names we understand (compared lowercased, letters and digits only)
+const COLUMNS = {
+  name: ["name", "professor", "instructor", "fullname", "professorname"],
+  first: ["firstname", "first", "tfname"],
+  last: ["lastname", "last", "tlname"],
+  rating: ["rating", "avgrating", "overallrating", "quality", "overallquality"],
+  num_ratings: ["numratings", "ratings", "ratingcount", "numberofratings", "count"],
+  difficulty: ["difficulty", "avgdifficulty", "levelofdifficulty"],
+  would_take_again: ["wouldtakeagain", "wouldtakeagainpercent", "wta"],
+  rmp_url: ["rmpurl", "url", "link", "profileurl"]
+};
+const columnFor = header => {
+  const h = String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return Object.keys(COLUMNS).find(k => COLUMNS[k].includes(h)) || null;
+};
+
+// RFC 4180-ish: quoted fields, "" escapes, newlines inside quotes, CRLF
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false, line = 1, rowLine = 1;
+  const s = text.replace(/^﻿/, "");
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; field += ch; }
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(f => f.trim())) rows.push({ line: rowLine, cells: row });
+      row = []; field = ""; line++; rowLine = line;
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push({ line: rowLine, cells: row });
+  return rows;
+}
+
+export function parseRatingsExport(text, format) {
+  let records;
+  if (format === "json") {
+    const raw = JSON.parse(text);
+    const list = Array.isArray(raw) ? raw : raw.professors || raw.data || raw.results;
+    if (!Array.isArray(list)) throw new Error("expected an array of professors (or { professors: [...] })");
+    records = list.map((r, i) => ({ line: i + 1, entries: Object.entries(r || {}) }));
+  } else {
+    const [header, ...rows] = parseCSV(text);
+    if (!header) return [];
+    records = rows.map(({ line, cells }) => ({ line, entries: header.cells.map((h, i) => [h, cells[i]]) }));
+  }
+
+  return records.map(({ line, entries }) => {
+    const row = { line };
+    for (const [key, value] of entries) {
+      const col = columnFor(key);
+      if (col && row[col] == null && value !== "" && value != null) row[col] = value;
+    }
+    row.name = String(row.name || [row.first, row.last].filter(Boolean).join(" ")).replace(/\s+/g, " ").trim();
+    delete row.first;
+    delete row.last;
+    return row;
+  });
+}
+
+// export value -> KB value, or { error } (null when the export has nothing for it)
+function convert(field, value) {
+  if (value == null || value === "") return null;
+  if (field === "rmp_url") {
+    const url = String(value).trim();
+    return /^https?:\/\/\S+$/.test(url) && !/placeholder/i.test(url) ? url : { error: `not a usable URL "${url}"` };
+  }
+  const n = Number(String(value).replace(/%\s*$/, "").trim());
+  if (!Number.isFinite(n)) return { error: `"${value}" is not a number` };
+  if (field === "would_take_again") {
+    if (n < 0) return null; // RMP uses -1 for "not enough data"
+    const pct = n > 0 && n < 1 ? n * 100 : n; // 0.79 -> 79
+    return pct <= 100 ? Math.round(pct) : { error: `${value} is not a percentage` };
+  }
+  if (field === "num_ratings") return Number.isInteger(n) && n >= 0 ? n : { error: `${value} is not a count` };
+  if (field === "rating") return n >= 0 && n <= 5 ? n : { error: `${value} is outside 0-5` };
+  if (field === "difficulty") return n >= 1 && n <= 5 ? n : { error: `${value} is outside 1-5` };
+  return null;
+}
+
+export function planRatingsImport(db, rows, { source, date }) {
+  const profs = Array.isArray(db.professors) ? db.professors : [];
+  const byKey = new Map();
+  profs.forEach((p, i) => {
+    const key = profKey(p.name);
+    if (!key) return;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(i);
+  });
+
+  const changes = [];    // { name, indexes, field, from, to }
+  const confirmed = [];  // same shape, value already current (provenance still refreshed)
+  const unmatched = [];  // rows with no professor
+  const problems = [];   // { line, message }
+  const seen = new Map(); // key -> line that already set it
+
+  for (const row of rows) {
+    if (!row.name) { problems.push({ line: row.line, message: "no professor name" }); continue; }
+    const key = profKey(row.name);
+    const indexes = byKey.get(key);
+    if (!indexes) { unmatched.push(row); continue; }
+    if (seen.has(key)) { problems.push({ line: row.line, message: `"${row.name}" already imported from line ${seen.get(key)}; skipped` }); continue; }
+    seen.set(key, row.line);
+
+    const current = profs[indexes[indexes.length - 1]]; // later duplicates win in the boot-time merge
+    for (const field of RATING_FIELDS) {
+      const to = convert(field, row[field]);
+      if (to == null) continue;
+      if (typeof to === "object") { problems.push({ line: row.line, message: `${field}: ${to.error}; skipped` }); continue; }
+      const entry = { name: current.name, indexes, field, from: current[field] ?? null, to };
+      (entry.from === to ? confirmed : changes).push(entry);
+    }
+  }
+  return { source, date, changes, confirmed, unmatched, problems };
+}
+
+export function applyRatingsImport(db, plan) {
+  for (const { indexes, field, to } of [...plan.changes, ...plan.confirmed]) {
+    for (const i of indexes) {
+      const p = db.professors[i];
+      p[field] = to;
+      p.provenance = { ...(p.provenance || {}), [field]: { source: plan.source, date: plan.date } };
+    }
+  }
+  return db;
+}
+
+// Human-readable preview, grouped by professor
+export function formatImportDiff(plan) {
+  const out = [];
+  const byName = new Map();
+  for (const c of plan.changes) {
+    if (!byName.has(c.name)) byName.set(c.name, []);
+    byName.get(c.name).push(c);
+  }
+  const show = v => (v == null ? "(none)" : String(v));
+  for (const [name, list] of byName) {
+    out.push(`~ ${name}`);
+    for (const c of list) out.push(`    ${c.from == null ? "+" : " "} ${c.field.padEnd(17)} ${show(c.from)} -> ${show(c.to)}`);
+  }
+  for (const row of plan.unmatched) out.push(`? line ${row.line}: "${row.name}" has no record in professors; skipped`);
+  for (const p of plan.problems) out.push(`⚠️ line ${p.line}: ${p.message}`);
+  const profs = new Set([...plan.changes, ...plan.confirmed].map(c => c.name)).size;
+  out.push(`${profs} professor(s) matched: ${plan.changes.length} field(s) changed, ${plan.confirmed.length} unchanged, ` +
+    `${plan.unmatched.length} row(s) unmatched, ${plan.problems.length} problem(s)`);
+  return out.join("\n");
+}
@@ -0,0 +1,270 @@
+// ---- Major requirement parsing + progress ----
+// majors[].lower_division is free text ("Calculus 1A - 1D", "Math 10 OR PSYC 15",
+// "CIS 22A OR (CIS 36A AND CIS 36B)", "ECON 1, 2"). parseRequirement turns one
+// line into items; each item is satisfied by ANY of its options, and an option
+// is a set of courses that must ALL be completed:
+//   { text, items: [{ label, oneOf: [["MATH 10"], ["PSYC 15"]] }], unmapped: ["ESL"] }
+
+// words that stand in for a department code in the free text; the server passes
+// the KB's aliases.departments instead (lib/aliases.js), this is the fallback
+export const DEFAULT_DEPT_ALIASES = {
+  calculus: "MATH", calc: "MATH", math: "MATH", mth: "MATH",
+  stats: "MATH", statistics: "MATH",
+  econ: "ECON", economics: "ECON",
+  psych: "PSYC", psychology: "PSYC",
+  soc: "SOC", sociology: "SOC",
+  bio: "BIOL", biology: "BIOL"
+};
+
+const CODE_RE = /^([A-Za-z]{2,})?\s*(\d{1,3})([A-Za-z]{0,2})$/;
+
+export function canonCode(s) {
+  return (s || "").toUpperCase().replace(/[\s-]+/g, " ").trim().replace(/^([A-Z]+)(\d)/, "$1 $2");
+}
+
+// "Math 2A" / "2B" (dept carried over) -> "MATH 2A", else null
+function parseCode(token, carryDept, aliases) {
+  const m = CODE_RE.exec(token.trim());
+  if (!m) return null;
+  const rawDept = (m[1] || "").toLowerCase();
+  const dept = rawDept ? (aliases[rawDept] || (rawDept.length <= 5 ? rawDept.toUpperCase() : null)) : carryDept;
+  if (!dept) return null;
+  return { dept, num: m[2], suffix: m[3].toUpperCase(), code: `${dept} ${m[2]}${m[3].toUpperCase()}` };
+}
+
+// "1A" .. "1D" -> 1A, 1B, 1C, 1D (same number, single-letter suffixes); otherwise just the ends
+function expandRange(a, b) {
+  if (a.dept === b.dept && a.num === b.num && a.suffix.length === 1 && b.suffix.length === 1 && a.suffix <= b.suffix) {
+    const out = [];
+    for (let c = a.suffix.charCodeAt(0); c <= b.suffix.charCodeAt(0); c++) out.push(`${a.dept} ${a.num}${String.fromCharCode(c)}`);
+    return out;
+  }
+  return [a.code, b.code];
+}
+
+// One "segment" (no OR/AND/commas left) -> list of codes, or null if it isn't one.
+// "Math 1A - 1D" is a range; the department carries over to the right side.
+function parseSegment(seg, state, aliases) {
+  const parts = seg.split(/\s*[-–]\s*/).map(p => p.trim()).filter(Boolean);
+  const codes = [];
+  for (const p of parts) {
+    const c = parseCode(p, state.dept, aliases);
+    if (!c) return null;
+    state.dept = c.dept;
+    codes.push(c);
+  }
+  if (codes.length === 2) return expandRange(codes[0], codes[1]);
+  if (codes.length === 1) return [codes[0].code];
+  return null;
+}
+
+// Course titles sit next to codes: "Data Abstraction and Structures - CIS 22C", "Math 10 - Intro Stats"
+function stripTitles(text) {
+  return text
+    .replace(/^[^\d()]*?\s+[-–]\s+(?=[A-Za-z]{2,}\s*\d)/, "")
+    .replace(/(\d[A-Za-z]{0,2})\s+[-–]\s+[^\d()]*$/, "$1")
+    .trim();
+}
+
+function splitTop(text, sepRe) {
+  // split on a separator, but not inside parentheses
+  const out = [];
+  let depth = 0, buf = "";
+  const tokens = text.split(/(\(|\))/);
+  for (const t of tokens) {
+    if (t === "(") depth++;
+    if (t === ")") depth = Math.max(0, depth - 1);
+    if (depth === 0 && t !== "(" && t !== ")") {
+      const pieces = t.split(sepRe);
+      buf += pieces.shift();
+      for (const p of pieces) { out.push(buf); buf = p; }
+    } else {
+      buf += t;
+    }
+  }
+  out.push(buf);
+  return out.map(s => s.trim()).filter(Boolean);
+}
+
+const stripParens = s => s.replace(/^\((.*)\)$/, "$1").trim();
+
+export function parseRequirement(text, aliases = DEFAULT_DEPT_ALIASES) {
+  // drop "(Prereq: ...)" notes — they describe the course, they aren't extra requirements
+  const clean = stripTitles((text || "").replace(/\(\s*prereq[^)]*\)?/gi, "").trim());
+  const state = { dept: null };
+  const unmapped = [];
+
+  const alternatives = splitTop(clean, /\s+or\s+/i);
+  if (alternatives.length > 1) {
+    // one item with several ways to satisfy it
+    const oneOf = [];
+    for (const alt of alternatives) {
+      const codes = splitTop(stripParens(alt), /\s+and\s+|\s*,\s*/i)
+        .map(seg => parseSegment(seg, state, aliases));
+      if (codes.every(Boolean)) oneOf.push(codes.flat());
+      else unmapped.push(alt);
+    }
+    return { text, items: oneOf.length ? [{ label: clean, oneOf }] : [], unmapped };
+  }
+
+  // "A AND B", "ECON 1, 2", "Math 1A - 1D": every course is its own item
+  const items = [];
+  for (const seg of splitTop(stripParens(clean), /\s+and\s+|\s*,\s*/i)) {
+    const codes = parseSegment(seg, state, aliases);
+    if (codes) codes.forEach(code => items.push({ label: code, oneOf: [[code]] }));
+    else unmapped.push(seg);
+  }
+  return { text, items, unmapped };
+}
+
+export function parseMajorRequirements(major, aliases) {
+  return (major.lower_division || []).map(line => parseRequirement(line, aliases));
+}
+
+// Per major: which lower-division items are met by `completed`, which are open,
+// and which open ones have ranked professors for a course that would satisfy them.
+// `rankingsFor(code)` overrides the plain `rankings` map lookup (e.g. to add automatic rankings).
+export function evaluateProgress(major, completed, { rankings = {}, rankingsFor, aliases } = {}) {
+  const listFor = rankingsFor || (code => rankings[code] || []);
+  const done = new Set((completed || []).map(canonCode));
+  const met = [], open = [], unmapped = [];
+
+  for (const req of parseMajorRequirements(major, aliases)) {
+    unmapped.push(...req.unmapped.map(u => ({ requirement: req.text, text: u })));
+    for (const item of req.items) {
+      const satisfiedBy = item.oneOf.find(opt => opt.every(c => done.has(c)));
+      if (satisfiedBy) {
+        met.push({ requirement: req.text, item: item.label, satisfied_by: satisfiedBy });
+        continue;
+      }
+      const remaining = item.oneOf.map(opt => opt.filter(c => !done.has(c)));
+      const ranked = {};
+      for (const code of new Set(remaining.flat())) {
+        const list = listFor(code).slice().sort((a, b) => (a.rank ?? 999) - (b.rank ?? 999));
+        if (list.length) ranked[code] = list.slice(0, 3).map(r => ({ name: r.name, rank: r.rank ?? null, tags: r.tags || [], ...(r.auto ? { auto: true } : {}) }));
+      }
+      open.push({ requirement: req.text, item: item.label, options: remaining, ranked_professors: ranked });
+    }
+  }
+
+  return {
+    campus: major.campus,
+    program: major.program,
+    met,
+    open,
+    unmapped,
+    complete: open.length === 0 && unmapped.length === 0
+  };
+}
+
+// Course codes a student lists in free text: "I've taken Math 1A-1C, CIS 22A and 22B"
+// -> MATH 1A, MATH 1B, MATH 1C, CIS 22A, CIS 22B. A word only counts as a department
+// if it's a known one (`depts`, upper-case codes) or an alias, so "took 3 classes" is ignored.
+export function extractCourseList(text, { depts = new Set(), aliases = DEFAULT_DEPT_ALIASES } = {}) {
+  const deptOf = w => {
+    const lw = (w || "").toLowerCase();
+    if (aliases[lw]) return aliases[lw];
+    return depts.has(lw.toUpperCase()) ? lw.toUpperCase() : null;
+  };
+  const re = /\b(?:([A-Za-z]{2,})\s*)?(\d{1,3}[A-Za-z]{0,2})\b(?:\s*[-–]\s*(?:([A-Za-z]{2,})\s*)?(\d{1,3}[A-Za-z]{0,2})\b)?/g;
+  const out = [];
+  let carry = null, m;
+  while ((m = re.exec(text || "")) !== null) {
+    // "CIS 22A and 22B": a connector keeps the previous department
+    const dept = !m[1] || /^(and|or|plus)$/i.test(m[1]) ? carry : deptOf(m[1]);
+    if (!dept) { carry = null; continue; }
+    carry = dept;
+    const a = parseCode(`${dept} ${m[2]}`, dept, aliases);
+    if (!m[4]) { out.push(a.code); continue; }
+    const b = parseCode(`${m[3] ? deptOf(m[3]) || m[3] : dept} ${m[4]}`, dept, aliases);
+    out.push(...(b ? expandRange(a, b) : [a.code]));
+  }
+  return Array.from(new Set(out));
+}
+
+// ---- Cross-campus overlap ----
+// For several majors (one per campus): which courses count toward every campus,
+// which toward only some, and a smallest course set that satisfies every
+// lower-division item at all of them.
+
+// "MATH 1A" < "MATH 1B" < "MATH 2A" < "MATH 10"
+export function compareCodes(a, b) {
+  const pa = /^(\S+) (\d+)(.*)$/.exec(a) || [a, a, 0, ""];
+  const pb = /^(\S+) (\d+)(.*)$/.exec(b) || [b, b, 0, ""];
+  return pa[1].localeCompare(pb[1]) || Number(pa[2]) - Number(pb[2]) || pa[3].localeCompare(pb[3]);
+}
+
+const satisfied = (item, set) => item.oneOf.some(opt => opt.every(c => set.has(c)));
+
+// Smallest set of courses satisfying every item. Single-option items are forced;
+// the OR items left are searched exhaustively (branch and bound, seeded with a
+// greedy answer), giving up on exactness after `maxNodes` and keeping the best found.
+export function minimalCover(items, { maxNodes = 50000 } = {}) {
+  const forced = new Set();
+  for (const item of items) if (item.oneOf.length === 1) item.oneOf[0].forEach(c => forced.add(c));
+  const choice = items.filter(item => !satisfied(item, forced));
+
+  // greedy seed: repeatedly take the option that satisfies most open items per new course
+  const greedy = new Set(forced);
+  for (;;) {
+    const open = choice.filter(item => !satisfied(item, greedy));
+    if (!open.length) break;
+    let best = null, bestScore = -1;
+    for (const opt of open.flatMap(item => item.oneOf)) {
+      const added = opt.filter(c => !greedy.has(c));
+      const trial = new Set([...greedy, ...added]);
+      const score = open.filter(item => satisfied(item, trial)).length / Math.max(added.length, 1);
+      if (score > bestScore) { best = added; bestScore = score; }
+    }
+    best.forEach(c => greedy.add(c));
+  }
+
+  let best = greedy;
+  let nodes = 0;
+  const search = (set) => {
+    if (++nodes > maxNodes || set.size >= best.size) return;
+    const next = choice.find(item => !satisfied(item, set));
+    if (!next) { best = set; return; }
+    for (const opt of next.oneOf) search(new Set([...set, ...opt]));
+  };
+  search(forced);
+
+  return { courses: [...best].sort(compareCodes), exact: nodes <= maxNodes };
+}
+
+export function planOverlap(majors, { aliases } = {}) {
+  const campuses = majors.map(m => ({ campus: m.campus, program: m.program }));
+  const usedBy = new Map(); // course -> Set(campus)
+  const items = [];
+  const unmapped = [];
+
+  for (const major of majors) {
+    for (const req of parseMajorRequirements(major, aliases)) {
+      unmapped.push(...req.unmapped.map(text => ({ campus: major.campus, requirement: req.text, text })));
+      for (const item of req.items) {
+        items.push(item);
+        for (const code of item.oneOf.flat()) {
+          if (!usedBy.has(code)) usedBy.set(code, new Set());
+          usedBy.get(code).add(major.campus);
+        }
+      }
+    }
+  }
+
+  const courses = [...usedBy.keys()].sort(compareCodes).map(code => ({
+    code,
+    campuses: campuses.map(c => c.campus).filter(c => usedBy.get(code).has(c)),
+    all: usedBy.get(code).size === majors.length
+  }));
+  const cover = minimalCover(items);
+
+  return {
+    campuses,
+    courses,
+    common: courses.filter(c => c.all).map(c => c.code),
+    partial: courses.filter(c => !c.all).map(({ code, campuses }) => ({ code, campuses })),
+    minimal_set: cover.courses,
+    minimal_set_exact: cover.exact,
+    unmapped
+  };
+}
@@ -0,0 +1,137 @@
+// ---- Hybrid retrieval: BM25 + embeddings, fused by reciprocal rank ----
+// createRetriever(items, { depts, textOf }) indexes [{ type, data, text }] for BM25 once;
+// search(query, opts) ranks the items by BM25 and, when vectors are given, by
+// cosine similarity, then fuses the two rankings with RRF
+//   rrf = Σ (RRF_K + 1) / (RRF_K + rank)   (1.0 = first in one list, 2.0 = first in both)
+// and multiplies by the caller's boosts. A boost of 0 filters the item out.
+// Without vectors (no embeddings yet, or none at all) it's BM25 alone.
+// Every hit is { type, score, data, why: { bm25, bm25_rank, cosine, cosine_rank, rrf, boost } }.
+
+export const RRF_K = 60;
+const K1 = 1.2;
+const B = 0.75;
+const DEPTH = 20;        // ranks past this in either list don't count
+const MIN_COSINE = 0.3;  // weaker vector matches are noise and get no rank
+const MIN_BM25_SHARE = 0.25; // BM25 under this share of the best score is a stray word ("drop-in" for "drop")
+
+// question words and glue that say nothing about which item is meant
+export const STOP_WORDS = new Set([
+  "a", "about", "after", "all", "also", "am", "an", "and", "any", "are", "as", "at", "be", "been", "but", "by",
+  "can", "could", "did", "do", "does", "for", "from", "get", "give", "had", "has", "have", "how", "i", "if", "in",
+  "into", "is", "it", "its", "just", "know", "like", "me", "more", "most", "my", "need", "no", "not", "of", "on",
+  "or", "our", "please", "should", "so", "some", "tell", "than", "that", "the", "their", "them", "then", "there",
+  "these", "they", "this", "to", "up", "us", "was", "we", "were", "what", "whats", "when", "where", "which", "who",
+  "whos", "why", "will", "with", "would", "you", "your"
+]);
+
+const round = (x, d = 4) => Math.round(x * 10 ** d) / 10 ** d;
+
+// "classes" -> "class", "deadlines" -> "deadline", "studies" -> "study"
+function stem(w) {
+  if (w.length <= 3 || /\d/.test(w)) return w;
+  if (w.endsWith("ies")) return `${w.slice(0, -3)}y`;
+  if (/(ss|x|ch|sh)es$/.test(w)) return w.slice(0, -2);
+  if (w.endsWith("s") && !w.endsWith("ss")) return w.slice(0, -1);
+  return w;
+}
+
+// Lowercased, stop words dropped, light plural stemming; course codes become one
+// token however they're written ("MATH 1A", "math1a", "Math-1A" -> "math1a").
+// `depts` (lowercased department codes) limits which prefixes count as codes,
+// so "top 3" isn't read as one.
+export function tokenize(text, depts = null) {
+  const codeRe = /\b([a-z]{2,5})[\s-]?(\d{1,3}[a-z]?)\b/g;
+  const isCode = dept => (depts ? depts.has(dept) : !STOP_WORDS.has(dept));
+  const s = String(text || "").toLowerCase();
+  const codes = [...s.matchAll(codeRe)].filter(m => isCode(m[1])).map(m => `${m[1]}${m[2]}`);
+  const rest = s.replace(codeRe, (m, dept) => (isCode(dept) ? " " : m));
+  return [...codes, ...rest.split(/[^a-z0-9]+/).filter(w => w && !STOP_WORDS.has(w)).map(stem)];
+}
+
+export function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+// Okapi BM25 over pre-tokenized documents -> score(queryTokens) -> one score per doc
+function bm25(docs) {
+  const N = docs.length;
+  const avgdl = docs.reduce((sum, d) => sum + d.length, 0) / (N || 1);
+  const df = new Map();
+  const tfs = docs.map(d => {
+    const tf = new Map();
+    for (const t of d) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    return tf;
+  });
+  return terms => {
+    const unique = [...new Set(terms)];
+    return tfs.map((tf, i) => {
+      let score = 0;
+      for (const t of unique) {
+        const f = tf.get(t);
+        if (!f) continue;
+        const n = df.get(t);
+        const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+        score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * docs[i].length / (avgdl || 1)));
+      }
+      return score;
+    });
+  };
+}
+
+// indices with a positive score, best first, cut to DEPTH -> Map(index -> rank from 1)
+function ranks(scores, min) {
+  return new Map(scores
+    .map((score, i) => ({ score, i }))
+    .filter(s => s.score > min)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, DEPTH)
+    .map((s, r) => [s.i, r + 1]));
+}
+
+// textOf(item): what BM25 sees (defaults to item.text)
+export function createRetriever(items, { depts = null, textOf = it => it.text } = {}) {
+  const score = bm25(items.map(it => tokenize(textOf(it), depts)));
+
+  return {
+    items,
+    tokenize: text => tokenize(text, depts),
+    // vectors: one per item (or null) aligned with `items`; queryVector: the query's
+    // boost(item) -> multiplier (0 drops it); types: Set of types to keep
+    search(query, { vectors = null, queryVector = null, boost = () => 1, types = null, limit = 3, minCosine = MIN_COSINE } = {}) {
+      const lexical = score(tokenize(query, depts));
+      const semantic = vectors && queryVector
+        ? items.map((_, i) => (vectors[i] ? cosine(queryVector, vectors[i]) : 0))
+        : null;
+      const lexRank = ranks(lexical, Math.max(0, ...lexical) * MIN_BM25_SHARE);
+      const semRank = semantic ? ranks(semantic, minCosine) : new Map();
+
+      const hits = [];
+      for (const i of new Set([...lexRank.keys(), ...semRank.keys()])) {
+        const it = items[i];
+        if (types && !types.has(it.type)) continue;
+        const factor = boost(it);
+        if (!(factor > 0)) continue;
+        const rrf = [lexRank.get(i), semRank.get(i)]
+          .filter(Boolean)
+          .reduce((sum, r) => sum + (RRF_K + 1) / (RRF_K + r), 0);
+        hits.push({
+          type: it.type,
+          score: round(rrf * factor),
+          data: it.data,
+          why: {
+            bm25: round(lexical[i], 3),
+            bm25_rank: lexRank.get(i) ?? null,
+            cosine: semantic ? round(semantic[i], 3) : null,
+            cosine_rank: semRank.get(i) ?? null,
+            rrf: round(rrf),
+            boost: round(factor, 3)
+          }
+        });
+      }
+      return hits.sort((a, b) => b.score - a.score || b.why.bm25 - a.why.bm25).slice(0, limit);
+    }
+  };
+}
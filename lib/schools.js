@@ -0,0 +1,167 @@
+import fs from "fs";
+import path from "path";
+import { validateKB, formatIssues } from "./kbSchema.js";
+
+// ---- School registry ----
+// One KB file per school in KB_DIR (data/schools/<id>.json). Each school has
+// its own live snapshot { id, file, db, validCodes, index, generation } that
+// is swapped as a whole on reload, so a request that grabbed a snapshot keeps
+// seeing consistent data even if a reload finishes mid-request.
+
+export const EMPTY_KB = { school: { name: "Unknown" }, deadlines: [], professors: [], courses: [], faq: [] };
+
+// same key the boot-time merge uses to decide two records are one professor
+export function profKey(name) {
+  return (name || "").toLowerCase().trim();
+}
+
+// --- De-duplicate professors by normalized name and merge courses ---
+export function mergeDuplicateProfessors(db) {
+  if (!Array.isArray(db.professors)) return db;
+  const byName = new Map();
+  for (const p of db.professors) {
+    const key = profKey(p.name);
+    if (!key) continue;
+    if (!byName.has(key)) {
+      byName.set(key, { ...p, courses: Array.isArray(p.courses) ? [...new Set(p.courses)] : [] });
+    } else {
+      const base = byName.get(key);
+      // merge courses
+      const mergedCourses = new Set([
+        ...(Array.isArray(base.courses) ? base.courses : []),
+        ...(Array.isArray(p.courses) ? p.courses : [])
+      ]);
+      byName.set(key, {
+        ...base,
+        ...p, // later fields can update earlier ones
+        courses: [...mergedCourses]
+      });
+    }
+  }
+  db.professors = Array.from(byName.values());
+  return db;
+}
+
+// read + parse + validate + normalize one KB file
+// (throws on unreadable/invalid JSON, and on schema errors unless warnOnly)
+export function loadSchoolDB(file, { warnOnly = false } = {}) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const issues = validateKB(raw);
+  const errors = issues.filter(i => i.level === "error");
+  if (issues.length) {
+    console.warn(`🧾 ${file}: ${errors.length} error(s), ${issues.length - errors.length} warning(s) (details: npm run lint:kb)`);
+    if (errors.length) console.warn(formatIssues(errors));
+  }
+  if (errors.length && !warnOnly) {
+    const err = new Error(`${errors.length} schema error(s), first: ${errors[0].path}: ${errors[0].message}`);
+    err.issues = errors;
+    throw err;
+  }
+  return mergeDuplicateProfessors(raw);
+}
+
+export function listSchoolFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(f => ({ id: path.basename(f, ".json"), file: path.join(dir, f) }));
+}
+
+// createSchoolRegistry({ dir, warnOnly, computeValidCodes(db), buildIndex(db, id) })
+export function createSchoolRegistry({ dir, warnOnly = false, defaultId, computeValidCodes, buildIndex }) {
+  const schools = new Map(); // id -> { file, snapshot, status, generation, selfWriteMtime }
+
+  for (const { id, file } of listSchoolFiles(dir)) {
+    let db;
+    try {
+      db = loadSchoolDB(file, { warnOnly });
+      console.log(`📚 Loaded local KB "${id}" for: ${db.school?.name || "Unknown School"}`);
+    } catch (e) {
+      if (!warnOnly) {
+        const err = new Error(`${file} is invalid (${e.message})`);
+        err.issues = e.issues;
+        throw err;
+      }
+      console.warn(`⚠️ Could not load ${file}. Local KB "${id}" disabled.`, e.message);
+      db = structuredClone(EMPTY_KB);
+    }
+
+    const entry = {
+      file,
+      generation: 0, // bumped on every successful reload; stale index builds are discarded
+      selfWriteMtime: 0,
+      snapshot: { id, file, db, validCodes: computeValidCodes(db), index: [], generation: 0 },
+      status: { id, file, generation: 0, loadedAt: new Date().toISOString(), reloading: false, lastError: null }
+    };
+    schools.set(id, entry);
+
+    buildIndex(db, id).then(index => {
+      if (entry.generation === 0) entry.snapshot = { ...entry.snapshot, index }; // unless a reload already replaced it
+    });
+  }
+
+  if (!schools.size) throw new Error(`No school KBs found in ${dir}`);
+  const fallbackId = schools.has(defaultId) ? defaultId : [...schools.keys()][0];
+  if (defaultId && fallbackId !== defaultId) console.warn(`⚠️ DEFAULT_SCHOOL "${defaultId}" not found, using "${fallbackId}"`);
+
+  // The new snapshot is parsed, merged and indexed off to the side; requests
+  // keep using the old one until db, valid codes and index are all ready.
+  function reload(id, reason) {
+    const entry = schools.get(id);
+    if (!entry) return { ok: false, error: `Unknown school "${id}"` };
+
+    let db;
+    try {
+      db = loadSchoolDB(entry.file, { warnOnly });
+    } catch (e) {
+      entry.status.lastError = { message: e.message, issues: e.issues || [], at: new Date().toISOString(), reason };
+      console.warn(`⚠️ KB "${id}" reload (${reason}) failed, still serving generation ${entry.status.generation}:`, e.message);
+      return { ok: false, error: e.message };
+    }
+
+    const gen = ++entry.generation;
+    const validCodes = computeValidCodes(db);
+    entry.status.reloading = true;
+    console.log(`🔄 KB "${id}" reload #${gen} (${reason}): rebuilding index in the background…`);
+
+    buildIndex(db, id).then(index => {
+      if (gen !== entry.generation) return; // superseded by a newer reload
+      entry.snapshot = { id, file: entry.file, db, validCodes, index, generation: gen };
+      Object.assign(entry.status, { generation: gen, loadedAt: new Date().toISOString(), reloading: false, lastError: null });
+      console.log(`📚 KB "${id}" reload #${gen} live for: ${db.school?.name || "Unknown School"}`);
+    });
+    return { ok: true, generation: gen };
+  }
+
+  function watch() {
+    for (const [id, entry] of schools) {
+      let debounce = null;
+      fs.watchFile(entry.file, { interval: 1000 }, (cur, prev) => {
+        // admin API writes reload directly; skip the echo from our own write
+        if (cur.mtimeMs === prev.mtimeMs || cur.mtimeMs === entry.selfWriteMtime) return;
+        clearTimeout(debounce);
+        debounce = setTimeout(() => reload(id, "file change"), 300); // editors write in bursts
+      });
+    }
+  }
+
+  return {
+    defaultId: fallbackId,
+    has: id => schools.has(id),
+    ids: () => [...schools.keys()],
+    get: id => schools.get(id)?.snapshot || null,
+    fileOf: id => schools.get(id)?.file || null,
+    list: () => [...schools.values()].map(({ snapshot: s }) => ({
+      id: s.id,
+      name: s.db.school?.name || s.id,
+      website: s.db.school?.website || ""
+    })),
+    statuses: () => [...schools.values()].map(e => ({ ...e.status, items: e.snapshot.index.length })),
+    markSelfWrite(id, mtimeMs) {
+      const entry = schools.get(id);
+      if (entry) entry.selfWriteMtime = mtimeMs;
+    },
+    reload,
+    watch
+  };
+}
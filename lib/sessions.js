@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { emptyProfile } from "./profile.js";
+
+// ---- Per-client conversation sessions ----
+// Each browser (or API client) gets its own session id. The store keeps the
+// hot sessions in memory, evicts idle ones after a TTL (and the least recently
+// used ones past a size cap), and hands snapshots to a persistence backend.
+
+export function newSessionState() {
+  return {
+    schoolId: null,            // which school KB this session talks about
+    lastCourse: null,          // e.g., "MATH 1A"
+    lastProfessor: null,       // the most recently suggested prof name
+    rankCursor: {},            // { "MATH 1A": 0 } -> index into rankings list (0-based)
+    lastCampus: null,          // e.g., "uc san diego"
+    lastMajorQuery: null,      // last message that resolved to major requirements
+    profile: emptyProfile(),   // completed courses, target campuses, ranking prefs, term (lib/profile.js)
+    didYouMean: null,          // corrected question behind a pending "Did you mean …?"
+    history: []                // [{ role: "user"|"assistant", content }]
+  };
+}
+
+// Append one turn to the session transcript, keeping only the last maxMessages.
+export function pushTurn(state, role, content, maxMessages = 12) {
+  if (!content) return;
+  state.history = [...(state.history || []), { role, content: String(content).slice(0, 2000) }]
+    .slice(-maxMessages);
+}
+
+// --- Backends: { load() -> [[id, entry]], save(entries) } ---
+export function createMemoryBackend() {
+  return {
+    name: "memory",
+    load: () => [],
+    save: () => {}
+  };
+}
+
+export function createJsonFileBackend(file) {
+  return {
+    name: `json:${file}`,
+    load() {
+      try {
+        const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+        return Array.isArray(raw) ? raw : [];
+      } catch (e) {
+        if (e.code !== "ENOENT") console.warn("⚠️ Could not read session file:", e.message);
+        return [];
+      }
+    },
+    save(entries) {
+      // write to a temp file first so a crash never leaves half a JSON file behind
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(entries));
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+export function backendFromEnv(env = process.env) {
+  const kind = (env.SESSION_STORE || "memory").toLowerCase();
+  if (kind === "json") return createJsonFileBackend(env.SESSION_FILE || "data/sessions.json");
+  if (kind !== "memory") console.warn(`⚠️ Unknown SESSION_STORE "${kind}", using memory`);
+  return createMemoryBackend();
+}
+
+export function createSessionStore(opts = {}) {
+  const {
+    ttlMs = 2 * 60 * 60 * 1000,   // drop sessions idle for 2h
+    maxSessions = 1000,
+    backend = createMemoryBackend(),
+    saveDelayMs = 1000
+  } = opts;
+
+  const sessions = new Map(); // id -> { state, touchedAt } (insertion order = LRU order)
+  let saveTimer = null;
+
+  const expired = (entry, now) => now - entry.touchedAt > ttlMs;
+
+  function sweep(now = Date.now()) {
+    for (const [id, entry] of sessions) {
+      if (expired(entry, now)) sessions.delete(id);
+    }
+    // still over the cap -> evict least recently used
+    while (sessions.size > maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  function persist() {
+    saveTimer = null;
+    sweep();
+    try {
+      backend.save([...sessions.entries()]);
+    } catch (e) {
+      console.warn("⚠️ Session save failed:", e.message);
+    }
+  }
+
+  // restore whatever the backend had, minus anything already stale
+  const now = Date.now();
+  for (const [id, entry] of backend.load()) {
+    if (id && entry?.state && !expired(entry, now)) {
+      sessions.set(id, { state: { ...newSessionState(), ...entry.state }, touchedAt: entry.touchedAt });
+    }
+  }
+  sweep(now);
+
+  return {
+    newId: () => crypto.randomUUID(),
+
+    has(id) {
+      const entry = sessions.get(id);
+      return !!entry && !expired(entry, Date.now());
+    },
+
+    // returns the live state object for this id (created if missing)
+    get(id) {
+      const now = Date.now();
+      let entry = sessions.get(id);
+      if (!entry || expired(entry, now)) {
+        entry = { state: newSessionState(), touchedAt: now };
+      }
+      sessions.delete(id);
+      entry.touchedAt = now;
+      sessions.set(id, entry); // move to the back (most recently used)
+      if (sessions.size > maxSessions) sweep(now);
+      return entry.state;
+    },
+
+    // call after mutating a session so the backend picks it up (debounced)
+    commit() {
+      if (saveTimer) return;
+      saveTimer = setTimeout(persist, saveDelayMs);
+      saveTimer.unref?.();
+    },
+
+    flush() {
+      if (saveTimer) clearTimeout(saveTimer);
+      persist();
+    },
+
+    sweep,
+    get size() { return sessions.size; },
+    backend: backend.name
+  };
+}
@@ -0,0 +1,96 @@
+import { deadlineUid } from "./ical.js";
+
+// ---- Source cards for the hits a reply was grounded on ----
+// sourceCard(hit, n, school) -> { n, type, title, fields: { label: value }, links: [{ label, url }], actions? }
+// `school` is the KB's school object plus its registry `id`.
+// `n` matches the "Snippet n" number the model sees, so [n] markers in the
+// reply point at the right card.
+
+const usableUrl = u => typeof u === "string" && /^https?:\/\//.test(u) && !/placeholder/i.test(u);
+
+function link(label, url) {
+  return usableUrl(url) ? [{ label, url }] : [];
+}
+
+// drop empty values so cards only show what the KB actually has
+function compact(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (v == null || v === "" || (Array.isArray(v) && !v.length)) continue;
+    out[k] = Array.isArray(v) ? v.join(", ") : String(v);
+  }
+  return out;
+}
+
+export function sourceCard(hit, n, school = {}) {
+  const d = hit.data || {};
+  const website = link(school.name || "College website", school.website);
+
+  if (hit.type === "deadline") {
+    return {
+      n, type: "deadline",
+      title: `${d.term} — ${d.description}`,
+      fields: compact({ Category: d.category, Date: [d.date, d.time].filter(Boolean).join(" "), Status: hit.when?.status, Notes: d.notes }),
+      links: website,
+      actions: school.id ? [{
+        label: "Add to calendar",
+        url: `/deadlines.ics?school=${encodeURIComponent(school.id)}&uid=${encodeURIComponent(deadlineUid(school.id, d))}`
+      }] : []
+    };
+  }
+  if (hit.type === "professor") {
+    return {
+      n, type: "professor",
+      title: d.name,
+      fields: compact({ Department: d.department, Rating: d.rating, Ratings: d.num_ratings, Teaches: d.courses }),
+      links: link("Rate My Professors", d.rmp_url)
+    };
+  }
+  if (hit.type === "ranking") {
+    const p = d.prof || {};
+    return {
+      n, type: "ranking",
+      title: `${d.rank != null ? `#${d.rank} ` : ""}${p.name} — ${d.course}`,
+      fields: compact({ Department: p.department, Tags: d.tags, Rating: p.rating, Ratings: p.num_ratings, Why: d.explanation, Notes: p.review_or_notes }),
+      links: [...link("Rate My Professors", p.rmp_url), ...(d.tags || []).includes("web_result") ? [] : website]
+    };
+  }
+  if (hit.type === "comparison") {
+    return {
+      n, type: "comparison",
+      title: `${d.professors.map(p => p.name).join(" vs ")}${d.course ? ` — ${d.course}` : ""}`,
+      fields: {},
+      table: { columns: d.columns, rows: d.rows },
+      links: d.professors.flatMap(p => link(`${p.name} on Rate My Professors`, p.rmp_url))
+    };
+  }
+  if (hit.type === "course") {
+    return {
+      n, type: "course",
+      title: `${d.code}: ${d.title}`,
+      fields: compact({ Department: d.department, About: d.description, Notes: d.notes }),
+      links: website
+    };
+  }
+  if (hit.type === "faq") {
+    return {
+      n, type: "faq",
+      title: d.q,
+      fields: compact({ Answer: d.a }),
+      links: website
+    };
+  }
+  if (hit.type === "major") {
+    return {
+      n, type: "major",
+      title: `${d.campus} — ${d.program}`,
+      fields: compact({ "Lower division": d.lower_division, Notes: d.notes }),
+      links: link("ASSIST articulation", d.source_url)
+    };
+  }
+  return { n, type: hit.type, title: hit.type, fields: {}, links: [] };
+}
+
+export function sourceCards(hits, school) {
+  return (hits || []).map((h, i) => sourceCard(h, i + 1, school));
+}
@@ -0,0 +1,156 @@
+import fs from "fs";
+import fetch from "node-fetch";
+
+// ---- Web search providers ----
+// Every provider exposes the same call:
+//   search(q, { site, num }) -> [{ title, link, snippet, displayLink }]
+// `site` restricts results to one host ("ratemyprofessors.com"), like Google's
+// site: operator. Providers return [] rather than throwing, so the chat's web
+// fallback just finds nothing when search is down. `metered` says whether a
+// search is a real (billed) request; only those count against the quota.
+// createSearchClient(provider) adds what callers share: a per-query TTL cache
+// (concurrent identical queries share one request) and a daily quota.
+
+const result = it => ({
+  title: it.title || "",
+  link: it.link || "",
+  snippet: it.snippet || "",
+  displayLink: it.displayLink || hostOf(it.link)
+});
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "";
+  }
+}
+
+export function createGoogleCSEProvider(opts = {}) {
+  const {
+    key = process.env.GOOGLE_CSE_KEY,
+    cx = process.env.GOOGLE_CSE_CX
+  } = opts;
+
+  return {
+    name: "google-cse",
+    metered: Boolean(key && cx), // without a key nothing is sent
+    async search(q, { site, num = 5 } = {}) {
+      if (!key || !cx) {
+        console.warn("⚠️ webSearch disabled: missing GOOGLE_CSE_KEY or GOOGLE_CSE_CX");
+        return [];
+      }
+
+      const query = site ? `site:${site} ${q}` : q;
+      const url = `https://www.googleapis.com/customsearch/v1?key=${encodeURIComponent(key)}&cx=${encodeURIComponent(cx)}&q=${encodeURIComponent(query)}&num=${num}`;
+
+      let r;
+      try {
+        r = await fetch(url);
+      } catch (e) {
+        console.warn("⚠️ webSearch request failed:", e.message, { query, site });
+        return [];
+      }
+      if (!r.ok) {
+        console.warn(`⚠️ webSearch HTTP ${r.status} for`, { query, site });
+        return [];
+      }
+      const data = await r.json();
+      if (!Array.isArray(data.items)) {
+        console.warn("⚠️ webSearch returned no items. Check CSE config (‘Search the entire web’), query:", { query, site });
+      }
+      return (data.items || []).map(result);
+    }
+  };
+}
+
+// Canned results from a JSON file, for demos and reproducible runs without a key:
+//   { "searches": [{ "site": "ratemyprofessors.com", "q": "MATH 10 De Anza Community College Rate My Professors",
+//                    "items": [{ "title": "...", "link": "...", "snippet": "..." }] }] }
+// Queries match case- and whitespace-insensitively; `site` must match too (omit it
+// for unscoped searches). Anything else returns [].
+export function createFixtureSearchProvider(opts = {}) {
+  const { file = process.env.SEARCH_FIXTURES || "data/search-fixtures.json" } = opts;
+  const norm = s => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const keyOf = (q, site) => `${norm(site)}|${norm(q)}`;
+
+  let table = new Map();
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+    table = new Map((raw.searches || []).map(s => [keyOf(s.q, s.site), (s.items || []).map(result)]));
+  } catch (e) {
+    console.warn(`⚠️ Search fixtures unreadable (${file}): ${e.message}`);
+  }
+
+  return {
+    name: "fixtures",
+    metered: false,
+    async search(q, { site, num = 5 } = {}) {
+      return (table.get(keyOf(q, site)) || []).slice(0, num);
+    }
+  };
+}
+
+// SEARCH_PROVIDER=google|fixtures; defaults to google (which stays off without a key)
+export function searchProviderFromEnv(env = process.env) {
+  const kind = (env.SEARCH_PROVIDER || "google").toLowerCase();
+  if (kind === "fixtures") return createFixtureSearchProvider({ file: env.SEARCH_FIXTURES });
+  if (kind !== "google") console.warn(`⚠️ Unknown SEARCH_PROVIDER "${kind}", using google`);
+  return createGoogleCSEProvider();
+}
+
+// provider + TTL cache + daily quota. Cache hits and unmetered providers don't
+// count against the quota; once it's used up, uncached searches return [] until
+// the next (local) day.
+export function createSearchClient(provider, opts = {}) {
+  const {
+    ttlMs = Number(process.env.SEARCH_CACHE_TTL_MS || 6 * 60 * 60 * 1000),
+    dailyQuota = Number(process.env.SEARCH_DAILY_QUOTA || 100), // CSE's free tier
+    maxEntries = 500,
+    now = () => Date.now()
+  } = opts;
+
+  const cache = new Map(); // key -> { at, results: Promise }
+  let day = null;
+  let used = 0;
+  let warned = false;
+
+  const today = () => new Date(now()).toDateString();
+
+  return {
+    provider: provider.name,
+    async search(q, { site, num = 5 } = {}) {
+      const key = `${site || ""}|${num}|${q}`;
+      const hit = cache.get(key);
+      if (hit && now() - hit.at < ttlMs) return hit.results;
+
+      if (day !== today()) {
+        day = today();
+        used = 0;
+        warned = false;
+      }
+      if (provider.metered) {
+        if (used >= dailyQuota) {
+          if (!warned) console.warn(`⚠️ webSearch daily quota (${dailyQuota}) used up; skipping web searches until tomorrow`);
+          warned = true;
+          return [];
+        }
+        used++;
+      }
+
+      const results = provider.search(q, { site, num }).catch(e => {
+        console.warn("⚠️ webSearch failed:", e.message);
+        return [];
+      });
+      cache.delete(key);
+      cache.set(key, { at: now(), results });
+      // oldest first in a Map -> drop from the front
+      while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+      const out = await results;
+      // don't keep empty answers around for the whole TTL (quota errors, bad config)
+      if (!out.length) cache.delete(key);
+      return out;
+    },
+    stats: () => ({ provider: provider.name, day, used, quota: dailyQuota, cached: cache.size, ttl_ms: ttlMs })
+  };
+}
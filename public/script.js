@@ -2,10 +2,13 @@ const messagesEl = document.getElementById("messages");
 const form = document.getElementById("chatForm");
 const input = document.getElementById("userInput");
 const sendBtn = document.getElementById("sendBtn");
+const stopBtn = document.getElementById("stopBtn");
 const themeToggle = document.getElementById("themeToggle");
 const clearChat = document.getElementById("clearChat");
 const year = document.getElementById("year");
 const suggestions = document.getElementById("suggestions");
+const schoolSelect = document.getElementById("schoolSelect");
+const schoolName = document.getElementById("schoolName");
 
 year.textContent = new Date().getFullYear();
 
@@ -23,18 +26,215 @@ function updateThemeIcon(){
   themeToggle.textContent = document.body.classList.contains("light") ? "🌙" : "☀️";
 }
 
+/* ---- School picker (persist) ---- */
+(async function loadSchools(){
+  try {
+    const r = await fetch("/schools");
+    const { schools, default: fallback } = await r.json();
+    const saved = localStorage.getItem("school");
+    for (const s of schools) {
+      const opt = document.createElement("option");
+      opt.value = s.id;
+      opt.textContent = s.name;
+      schoolSelect.appendChild(opt);
+    }
+    schoolSelect.value = schools.some(s => s.id === saved) ? saved : fallback;
+    schoolSelect.hidden = schools.length < 2;
+    updateSchoolName();
+  } catch {
+    // keep the static copy; the server falls back to its default school
+  }
+})();
+
+schoolSelect.addEventListener("change", () => {
+  localStorage.setItem("school", schoolSelect.value);
+  updateSchoolName();
+});
+function updateSchoolName(){
+  const opt = schoolSelect.selectedOptions[0];
+  if (opt) schoolName.textContent = opt.textContent.replace(/\s+(Community\s+)?College$/i, "");
+}
+
+/* ---- Student profile (server keeps it per session) ---- */
+const profileToggle = document.getElementById("profileToggle");
+const profileDialog = document.getElementById("profileDialog");
+const profileForm = document.getElementById("profileForm");
+const profileError = document.getElementById("profileError");
+const TAG_LABELS = { best_overall: "Best overall", second_best: "Second best", easiest: "Easiest", best_teaching: "Best teaching" };
+
+function checkboxes(container, name, values, checked, label = v => v) {
+  container.textContent = "";
+  for (const v of values) {
+    const row = el("label");
+    const box = el("input");
+    box.type = "checkbox";
+    box.name = name;
+    box.value = v;
+    box.checked = checked.includes(v);
+    row.append(box, document.createTextNode(label(v)));
+    container.appendChild(row);
+  }
+}
+
+function fillProfile({ profile, options }) {
+  document.getElementById("profileCompleted").value = profile.completed.join(", ");
+  document.getElementById("profileTerm").value = profile.term || "";
+  checkboxes(document.getElementById("profileCampuses"), "campuses", options.campuses, profile.campuses);
+  checkboxes(document.getElementById("profileTags"), "rank_tags", options.rank_tags, profile.rank_tags, t => TAG_LABELS[t] || t);
+  profileError.hidden = true;
+}
+
+async function profileRequest(method, body) {
+  const r = await fetch(`/profile?school=${encodeURIComponent(schoolSelect.value || "")}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await r.json();
+  if (!r.ok || !data.ok) throw new Error(data.error || `HTTP ${r.status}`);
+  return data;
+}
+
+function showProfileError(err) {
+  profileError.textContent = err.message;
+  profileError.hidden = false;
+}
+
+profileToggle.addEventListener("click", async () => {
+  try {
+    fillProfile(await profileRequest("GET"));
+    profileDialog.showModal();
+  } catch (err) {
+    appendMessage("assistant", `⚠️ Couldn’t load your profile: ${err.message}`);
+  }
+});
+
+profileForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const picked = name => [...profileForm.querySelectorAll(`input[name="${name}"]:checked`)].map(b => b.value);
+  try {
+    await profileRequest("PUT", {
+      completed: document.getElementById("profileCompleted").value,
+      campuses: picked("campuses"),
+      rank_tags: picked("rank_tags"),
+      term: document.getElementById("profileTerm").value
+    });
+    profileDialog.close();
+  } catch (err) {
+    showProfileError(err);
+  }
+});
+
+document.getElementById("profileCancel").addEventListener("click", () => profileDialog.close());
+document.getElementById("profileReset").addEventListener("click", async () => {
+  try {
+    fillProfile(await profileRequest("DELETE"));
+  } catch (err) {
+    showProfileError(err);
+  }
+});
+
 /* ---- chat helpers ---- */
 function el(tag, cls) { const e = document.createElement(tag); if (cls) e.className = cls; return e; }
 
-function appendMessage(role, text) {
+function appendMessage(role, text, sources) {
   const row = el("div", `msg ${role}`);
   const avatar = el("div", "avatar");
   avatar.textContent = role === "user" ? "🙂" : "🤖";
   const bubble = el("div", "bubble");
-  bubble.textContent = text;
+  if (sources?.length) renderReply(bubble, text, sources);
+  else bubble.textContent = text;
   row.append(avatar, bubble);
   messagesEl.appendChild(row);
   messagesEl.scrollTop = messagesEl.scrollHeight;
+  return bubble;
+}
+
+/* ---- citations + source cards ---- */
+const SOURCE_ICONS = { deadline: "🗓️", professor: "👩‍🏫", ranking: "🏆", course: "📘", faq: "❓", major: "🎓", comparison: "⚖️" };
+let sourceSeq = 0; // keeps card ids unique across messages
+
+// Reply text with [n] turned into links to the matching card, then the cards.
+function renderReply(bubble, text, sources) {
+  bubble.textContent = "";
+  const prefix = `src${++sourceSeq}-`;
+  const known = new Set(sources.map(s => String(s.n)));
+
+  const body = el("div", "reply-text");
+  for (const part of text.split(/(\[\d+\])/)) {
+    const n = (part.match(/^\[(\d+)\]$/) || [])[1];
+    if (n && known.has(n)) {
+      const sup = el("sup", "cite");
+      const a = el("a");
+      a.href = `#${prefix}${n}`;
+      a.textContent = n;
+      a.addEventListener("click", () => { document.getElementById(`${prefix}${n}`).open = true; });
+      sup.appendChild(a);
+      body.appendChild(sup);
+    } else {
+      body.appendChild(document.createTextNode(part));
+    }
+  }
+  bubble.appendChild(body);
+
+  const list = el("div", "sources");
+  for (const s of sources) {
+    const card = el("details", "source-card");
+    card.id = `${prefix}${s.n}`;
+    const summary = el("summary");
+    summary.textContent = `[${s.n}] ${SOURCE_ICONS[s.type] || "📄"} ${s.title}`;
+    card.appendChild(summary);
+
+    const dl = el("dl");
+    for (const [k, v] of Object.entries(s.fields || {})) {
+      const dt = el("dt"); dt.textContent = k;
+      const dd = el("dd"); dd.textContent = v;
+      dl.append(dt, dd);
+    }
+    card.appendChild(dl);
+
+    if (s.table) {
+      card.open = true; // the comparison is the answer, not just a citation
+      const wrap = el("div", "compare-wrap");
+      const table = el("table", "compare-table");
+      const head = el("tr");
+      for (const c of s.table.columns) {
+        const th = el("th"); th.textContent = c;
+        head.appendChild(th);
+      }
+      table.appendChild(head);
+      for (const [label, ...cells] of s.table.rows) {
+        const tr = el("tr");
+        const th = el("th"); th.textContent = label;
+        tr.appendChild(th);
+        for (const c of cells) {
+          const td = el("td"); td.textContent = c;
+          tr.appendChild(td);
+        }
+        table.appendChild(tr);
+      }
+      wrap.appendChild(table);
+      card.appendChild(wrap);
+    }
+
+    for (const l of s.links || []) {
+      const a = el("a", "source-link");
+      a.href = l.url;
+      a.target = "_blank";
+      a.rel = "noopener";
+      a.textContent = `🔗 ${l.label}`;
+      card.appendChild(a);
+    }
+    for (const act of s.actions || []) {
+      const a = el("a", "source-action");
+      a.href = act.url;
+      a.download = "";
+      a.textContent = `📅 ${act.label}`;
+      card.appendChild(a);
+    }
+    list.appendChild(card);
+  }
+  bubble.appendChild(list);
 }
 
 function appendTyping() {
@@ -67,52 +267,131 @@ clearChat.addEventListener("click", (e) => {
   e.preventDefault();
   messagesEl.innerHTML = "";
   localStorage.removeItem("chatHistory");
+  fetch("/chat/reset", { method: "POST" }).catch(() => {}); // server-side transcript too
 });
 
 /* ---- Load previous session ---- */
 (function restore(){
   const saved = JSON.parse(localStorage.getItem("chatHistory") || "[]");
-  for (const m of saved) appendMessage(m.role, m.text);
+  for (const m of saved) appendMessage(m.role, m.text, m.sources);
 })();
 
-function save(role, text){
+function save(role, text, sources){
   const saved = JSON.parse(localStorage.getItem("chatHistory") || "[]");
-  saved.push({ role, text });
+  saved.push(sources?.length ? { role, text, sources } : { role, text });
   localStorage.setItem("chatHistory", JSON.stringify(saved.slice(-100))); // cap
 }
 
+/* ---- Talking to the server ---- */
+// Streams from /chat/stream (SSE over fetch so we can POST and abort), calling
+// onText with the text so far; resolves to { reply, sources }. Throws
+// StreamUnavailable when the endpoint can't stream at all, so the caller can
+// fall back to plain /chat.
+class StreamUnavailable extends Error {}
+
+async function streamReply(body, onText, signal) {
+  const r = await fetch("/chat/stream", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Accept": "text/event-stream" },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!r.ok || !r.body || !(r.headers.get("Content-Type") || "").includes("text/event-stream")) {
+    throw new StreamUnavailable(`HTTP ${r.status}`);
+  }
+
+  const reader = r.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let text = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return { reply: text, sources: [] };
+    buffer += value;
+    const events = buffer.split("\n\n");
+    buffer = events.pop(); // partial event, wait for the rest
+    for (const raw of events) {
+      const event = (raw.match(/^event: (.*)$/m) || [])[1] || "message";
+      const data = JSON.parse((raw.match(/^data: (.*)$/m) || [])[1] || "{}");
+      if (event === "delta") text += data.text || "";
+      // "replace": the server's checked reply supersedes the streamed draft
+      if (event === "reply" || event === "replace" || event === "done") text = data.reply || text;
+      if (event === "error") throw new Error(data.reply || "stream error");
+      onText(text);
+      if (event === "done") return { reply: text, sources: data.sources || [] };
+    }
+  }
+}
+
+async function fetchReply(body, signal) {
+  const r = await fetch("/chat", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal
+  });
+  const data = await r.json();
+  return { reply: data.reply, sources: data.sources || [] };
+}
+
 /* ---- Send flow ---- */
+let inflight = null; // AbortController for the request in progress
+
+stopBtn.addEventListener("click", () => inflight?.abort());
+
+function setBusy(busy) {
+  sendBtn.disabled = busy;
+  sendBtn.hidden = busy;
+  stopBtn.hidden = !busy;
+}
+
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
   const text = input.value.trim();
-  if (!text) return;
+  if (!text || inflight) return;
 
   appendMessage("user", text);
   save("user", text);
   input.value = "";
   input.focus();
-  sendBtn.disabled = true;
+  setBusy(true);
   appendTyping();
 
+  const body = { message: text, school: schoolSelect.value || undefined };
+  const controller = inflight = new AbortController();
+  let bubble = null;
+  const show = (partial) => {
+    if (!partial) return;
+    if (!bubble) { removeTyping(); bubble = appendMessage("assistant", ""); }
+    bubble.textContent = partial;
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+  };
+
+  let reply = "";
   try {
-    const r = await fetch("/chat", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message: text })
-    });
-    const data = await r.json();
-    removeTyping();
-    const reply = data.reply || "Sorry, I didn’t get that.";
-    appendMessage("assistant", reply);
-    save("assistant", reply);
+    let result;
+    try {
+      result = await streamReply(body, (partial) => { reply = partial; show(partial); }, controller.signal);
+    } catch (err) {
+      // no usable stream (old server, proxy, browser without streams) -> one-shot request
+      if (controller.signal.aborted || (bubble && !(err instanceof StreamUnavailable))) throw err;
+      result = await fetchReply(body, controller.signal);
+    }
+    reply = result.reply || "Sorry, I didn’t get that.";
+    show(reply);
+    if (result.sources.length) renderReply(bubble, reply, result.sources);
+    save("assistant", reply, result.sources);
   } catch (err) {
     removeTyping();
-    appendMessage("assistant", "⚠️ Network error. Please try again.");
+    if (controller.signal.aborted) {
+      if (reply) save("assistant", reply + " …");
+      show(reply ? reply + " …" : "⏹️ Stopped.");
+    } else {
+      appendMessage("assistant", "⚠️ Network error. Please try again.");
+    }
   } finally {
-    sendBtn.disabled = false;
+    inflight = null;
+    setBusy(false);
   }
-
-  
 });
 
 // Sidebar toggle
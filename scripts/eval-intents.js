@@ -0,0 +1,82 @@
+// Score the intent classifier against labelled examples:
+//   node scripts/eval-intents.js [examples.jsonl] [--school deanza] [--verbose]
+// Each line: { "text": "...", "intents": ["prof_ranking", "deadline"],
+//              "context": { "lastCourse": "MATH 1A", "profileCampuses": ["UC San Diego"] } }
+// Prints per-intent precision / recall and every example that came out wrong
+// (--verbose adds the cues that fired).
+// With no file it scores two sets: data/intent-examples.jsonl, the examples the
+// cue weights in lib/intents.js are tuned against (exits 1 if any is wrong), and
+// data/intent-examples.heldout.jsonl, which they never were: its accuracy is the
+// honest estimate for new questions. Don't tune weights on held-out misses; copy
+// the case into the tuning set and write fresh held-out examples instead.
+import fs from "fs";
+import path from "path";
+import { classifyIntents, intentFacts, INTENTS } from "../lib/intents.js";
+import { compileAliases } from "../lib/aliases.js";
+import { canonCode } from "../lib/requirements.js";
+import { loadSchoolDB } from "../lib/schools.js";
+
+const args = process.argv.slice(2);
+const flag = name => { const i = args.indexOf(name); return i >= 0 ? args.splice(i, 2)[1] : null; };
+const school = flag("--school") || process.env.DEFAULT_SCHOOL || "deanza";
+const verbose = args.includes("--verbose");
+const file = args.find(a => !a.startsWith("--"));
+const sets = file
+  ? [{ file, gate: true }]
+  : [{ file: "data/intent-examples.jsonl", label: "tuning", gate: true }, { file: "data/intent-examples.heldout.jsonl", label: "held-out", gate: false }];
+
+const db = loadSchoolDB(path.join(process.env.KB_DIR || "data/schools", `${school}.json`));
+const validCodes = new Set([...(db.courses || []).map(c => canonCode(c.code)), ...Object.keys(db.rankings || {}).map(canonCode)]);
+const aliases = compileAliases(db);
+
+function evaluate({ file, label, gate }) {
+  const examples = fs.readFileSync(file, "utf-8").split("\n")
+    .map((line, i) => ({ line, n: i + 1 }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, n }) => {
+      try { return { n, ...JSON.parse(line) }; } catch (e) { console.error(`❌ ${file}:${n}: ${e.message}`); process.exit(1); }
+    });
+
+  const counts = Object.fromEntries(INTENTS.map(i => [i, { tp: 0, fp: 0, fn: 0 }]));
+  const misses = [];
+  for (const ex of examples) {
+    const session = { lastCourse: ex.context?.lastCourse || null, profile: { campuses: ex.context?.profileCampuses || [] } };
+    const predicted = classifyIntents(ex.text, intentFacts(ex.text, { db, validCodes, aliases, session }));
+    const want = new Set(ex.intents);
+    const got = new Set(predicted.map(p => p.intent));
+    for (const intent of INTENTS) {
+      const c = counts[intent];
+      if (!c) continue;
+      if (got.has(intent) && want.has(intent)) c.tp++;
+      else if (got.has(intent)) c.fp++;
+      else if (want.has(intent)) c.fn++;
+    }
+    for (const intent of [...want, ...got]) if (!counts[intent]) console.warn(`⚠️ line ${ex.n}: unknown intent "${intent}"`);
+    if (want.size !== got.size || [...want].some(i => !got.has(i))) misses.push({ ex, predicted });
+  }
+
+  const pct = x => (x == null ? "   —" : `${Math.round(x * 100)}%`.padStart(4));
+  console.log(`${"intent".padEnd(20)} ${"prec".padStart(4)} ${"rec".padStart(4)}   tp  fp  fn`);
+  for (const intent of INTENTS) {
+    const { tp, fp, fn } = counts[intent];
+    if (!tp && !fp && !fn) continue;
+    const precision = tp + fp ? tp / (tp + fp) : null;
+    const recall = tp + fn ? tp / (tp + fn) : null;
+    console.log(`${intent.padEnd(20)} ${pct(precision)} ${pct(recall)}  ${String(tp).padStart(3)} ${String(fp).padStart(3)} ${String(fn).padStart(3)}`);
+  }
+
+  for (const { ex, predicted } of misses) {
+    console.log(`\n✗ ${file}:${ex.n} "${ex.text}"\n  want: ${ex.intents.join(", ")}\n  got:  ${predicted.map(p => `${p.intent} (${p.confidence})`).join(", ")}`);
+    if (verbose) for (const p of predicted) console.log(`    ${p.intent}: ${p.cues.join(", ") || "no cues"}`);
+  }
+  const right = examples.length - misses.length;
+  console.log(`\n${misses.length ? (gate ? "❌" : "⚠️") : "✅"} ${label ? `${label}: ` : ""}${right}/${examples.length} examples exactly right (${pct(right / (examples.length || 1)).trim()})`);
+  return gate && misses.length > 0;
+}
+
+let failed = false;
+for (const set of sets) {
+  if (sets.length > 1) console.log(`\n==== ${set.label} (${set.file}) ====`);
+  if (evaluate(set)) failed = true;
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,65 @@
+// Refresh professor ratings from an export:
+//   node scripts/import-ratings.js <export.csv|export.json> [--school deanza] [--source "RMP export"]
+//        [--date 2026-01-05] [--format csv|json] [--write]
+// Prints the diff first; only --write saves (with a backup in <KB_DIR>/backups/).
+// A running server picks the change up through its KB file watcher.
+import fs from "fs";
+import path from "path";
+import { readRawKB, writeKBAtomic } from "../lib/kbStore.js";
+import { parseCalendarDate } from "../lib/deadlines.js";
+import { validateKB, formatIssues } from "../lib/kbSchema.js";
+import { parseRatingsExport, planRatingsImport, applyRatingsImport, formatImportDiff } from "../lib/ratingsImport.js";
+
+const args = process.argv.slice(2);
+const flag = name => { const i = args.indexOf(name); return i >= 0 ? args.splice(i, 2)[1] : null; };
+const school = flag("--school") || process.env.DEFAULT_SCHOOL || "deanza";
+const format = flag("--format");
+const date = flag("--date") || new Date().toISOString().slice(0, 10);
+const sourceArg = flag("--source");
+const write = args.includes("--write");
+const input = args.find(a => !a.startsWith("--"));
+
+if (!input) {
+  console.error("Usage: node scripts/import-ratings.js <export.csv|export.json> [--school id] [--source name] [--date YYYY-MM-DD] [--write]");
+  process.exit(1);
+}
+if (!parseCalendarDate(date)) {
+  console.error(`❌ --date "${date}" is not a date (use YYYY-MM-DD)`);
+  process.exit(1);
+}
+
+const file = path.join(process.env.KB_DIR || "data/schools", `${school}.json`);
+const source = sourceArg || path.basename(input);
+
+let rows;
+try {
+  rows = parseRatingsExport(fs.readFileSync(input, "utf-8"), format || (input.toLowerCase().endsWith(".json") ? "json" : "csv"));
+} catch (e) {
+  console.error(`❌ ${input}: ${e.message}`);
+  process.exit(1);
+}
+
+const before = readRawKB(file);
+const plan = planRatingsImport(before, rows, { source, date });
+console.log(`📥 ${input} -> ${file} (source "${source}", ${date}, ${rows.length} row(s))\n`);
+console.log(formatImportDiff(plan));
+
+if (!plan.changes.length && !plan.confirmed.length) {
+  console.log("\nNothing to import.");
+  process.exit(0);
+}
+if (!write) {
+  console.log("\nDry run. Re-run with --write to save (values plus provenance for every matched field).");
+  process.exit(0);
+}
+
+// like the admin API: refuse only errors this import introduces
+const draft = applyRatingsImport(structuredClone(before), plan);
+const known = new Set(validateKB(before).map(i => `${i.path}|${i.message}`));
+const introduced = validateKB(draft).filter(i => i.level === "error" && !known.has(`${i.path}|${i.message}`));
+if (introduced.length) {
+  console.error(`\n❌ Not saved, the import would add schema errors:\n${formatIssues(introduced)}`);
+  process.exit(1);
+}
+writeKBAtomic(file, draft);
+console.log(`\n✅ Saved ${file}`);
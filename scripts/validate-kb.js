@@ -0,0 +1,31 @@
+// Lint school knowledge bases: node scripts/validate-kb.js [file...] [--warn-only]
+// With no files, checks every KB in KB_DIR (default data/schools).
+import fs from "fs";
+import { validateKB, formatIssues } from "../lib/kbSchema.js";
+import { listSchoolFiles } from "../lib/schools.js";
+
+const args = process.argv.slice(2);
+const warnOnly = args.includes("--warn-only");
+const files = args.filter(a => !a.startsWith("--"));
+const targets = files.length ? files : listSchoolFiles(process.env.KB_DIR || "data/schools").map(s => s.file);
+
+let failed = false;
+for (const file of targets) {
+  let db;
+  try {
+    db = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    console.error(`❌ ${file}: ${e.message}`);
+    failed = true;
+    continue;
+  }
+
+  const issues = validateKB(db);
+  const errors = issues.filter(i => i.level === "error").length;
+  const warnings = issues.length - errors;
+
+  if (issues.length) console.log(formatIssues(issues));
+  console.log(`${errors ? "❌" : "✅"} ${file}: ${errors} error(s), ${warnings} warning(s)`);
+  if (errors) failed = true;
+}
+process.exit(failed && !warnOnly ? 1 : 0);
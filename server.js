@@ -1,40 +1,38 @@
 import express from "express";
 import bodyParser from "body-parser";
 import dotenv from "dotenv";
-import fetch from "node-fetch";
 import fs from "fs";
+import crypto from "crypto";
+import { providerFromEnv } from "./lib/llm.js";
+import { embedWithCache } from "./lib/embeddingCache.js";
+import { createSchoolRegistry } from "./lib/schools.js";
+import { createAdminRouter } from "./lib/adminApi.js";
+import { sourceCards } from "./lib/sources.js";
+import { deadlinesToICS, filterDeadlines, deadlineUid } from "./lib/ical.js";
+import { annotateDeadlines, activeDeadlines, termFromQuery, termKey, termName, currentTerms, upcomingDeadlines, parseTerm, nextTerm } from "./lib/deadlines.js";
+import { createSessionStore, backendFromEnv, newSessionState, pushTurn } from "./lib/sessions.js";
+import { canonCode, evaluateProgress, extractCourseList, parseMajorRequirements, planOverlap } from "./lib/requirements.js";
+import { buildPlan, planToMarkdown, DEFAULT_UNIT_CAP } from "./lib/planner.js";
+import { RANK_TAGS, emptyProfile, updateProfile, describeProfile } from "./lib/profile.js";
+import { autoRank } from "./lib/autoRank.js";
+import { compareProfessors, comparisonTable } from "./lib/compare.js";
+import { createKBResolver } from "./lib/fuzzy.js";
+import { compileAliases } from "./lib/aliases.js";
+import { classifyIntents, intentFacts, professorMentions, ALL_UCS_RE } from "./lib/intents.js";
+import { createRetriever } from "./lib/retrieval.js";
+import { createSearchClient, searchProviderFromEnv } from "./lib/webSearch.js";
+import { createReplyChecker, createSentenceGate } from "./lib/guardrail.js";
 
 dotenv.config();
 
 
 
-async function webSearch(q, opts = {}) {
-  const { site, num = 5 } = opts;
-  const key = process.env.GOOGLE_CSE_KEY;
-  const cx  = process.env.GOOGLE_CSE_CX;
-  if (!key || !cx) {
-    console.warn("⚠️ webSearch disabled: missing GOOGLE_CSE_KEY or GOOGLE_CSE_CX");
-    return [];
-  }
-
-  const query = site ? `site:${site} ${q}` : q;
-  const url = `https://www.googleapis.com/customsearch/v1?key=${encodeURIComponent(key)}&cx=${encodeURIComponent(cx)}&q=${encodeURIComponent(query)}&num=${num}`;
+// ---- Web search (see lib/webSearch.js; SEARCH_PROVIDER=google|fixtures) ----
+const SEARCH = createSearchClient(searchProviderFromEnv());
+console.log(`🌐 Web search: ${SEARCH.provider} (daily quota ${SEARCH.stats().quota})`);
 
-  const r = await fetch(url);
-  if (!r.ok) {
-    console.warn(`⚠️ webSearch HTTP ${r.status} for`, { query, site });
-    return [];
-  }
-  const data = await r.json();
-  if (!Array.isArray(data.items)) {
-    console.warn("⚠️ webSearch returned no items. Check CSE config (‘Search the entire web’), query:", { query, site });
-  }
-  return (data.items || []).map(it => ({
-    title: it.title,
-    link: it.link,
-    snippet: it.snippet || "",
-    displayLink: it.displayLink || ""
-  }));
+function webSearch(q, opts = {}) {
+  return SEARCH.search(q, opts);
 }
 
 // put near your other helpers
@@ -75,162 +73,194 @@ function looksLikeSameSchool(a, b) {
   return A && B && (A.includes(B) || B.includes(A));
 }
 
-function extractCampusHint(s) {
-  const q = (s || "").toLowerCase();
-  if (/\bucsd|san diego\b/.test(q)) return "uc san diego";
-  if (/\bucla|los angeles\b/.test(q)) return "ucla";
-  if (/\bucsb|santa barbara\b/.test(q)) return "uc santa barbara";
-  if (/\buci|irvine\b/.test(q)) return "uc irvine";
-  if (/\bucd|davis\b/.test(q)) return "uc davis";
-  if (/\bucsc|santa cruz\b/.test(q)) return "uc santa cruz";
-  if (/\bucr|riverside\b/.test(q)) return "uc riverside";
-  if (/\bucm|merced\b/.test(q)) return "uc merced";
-  if (/\bberkeley|cal\b/.test(q)) return "uc berkeley";
-  return null;
+// ---- Alias tables (lib/aliases.js): compiled once per KB snapshot ----
+const aliasTables = new WeakMap();
+function aliasesFor(db) {
+  if (!aliasTables.has(db)) aliasTables.set(db, compileAliases(db));
+  return aliasTables.get(db);
 }
 
-function isMajorReqQuery(s) {
+// first campus mentioned, lowercased ("uc san diego"), or null
+function extractCampusHint(s, db) {
+  return aliasesFor(db).campusHint(s);
+}
+
+// every campus mentioned, in order of appearance ("ucsd vs ucla and davis")
+function extractCampusHints(s, db) {
+  return aliasesFor(db).campusHints(s);
+}
+
+// remove every campus mention so a new one can be swapped in
+function stripCampus(s, db) {
+  return aliasesFor(db).stripCampus(s);
+}
+
+function isMajorReqQuery(s, db) {
   const q = (s || "").toLowerCase();
-  const mentionsDS = /\b(data\s*science|data\s*theory|ds)\b/.test(q);
-  const mentionsUC = /\b(uc|ucla|ucsd|ucsb|uci|ucd|ucsc|ucr|ucm|berkeley|irvine|davis|riverside|merced|santa\s*barbara|santa\s*cruz|san\s*diego)\b/.test(q);
+  const mentionsMajor = aliasesFor(db).majorsMentioned(q).length > 0;
+  const mentionsUC = /\buc\b/.test(q) || !!extractCampusHint(q, db);
   const asksReqs = /\b(requirement|requirements|prereq|prereqs|prerequisite|prerequisites|courses|course list|classes|curriculum|plan)\b/.test(q);
-  return (mentionsDS && (mentionsUC || asksReqs));
+  return (mentionsMajor && (mentionsUC || asksReqs));
 }
 
+// ---- LLM provider (see lib/llm.js; LLM_PROVIDER=openai|local) ----
+const LLM = providerFromEnv();
+console.log(`🤖 LLM provider: ${LLM.name} (chat: ${LLM.chatModel}, embeddings: ${LLM.embedModel})`);
+
 async function embed(text) {
-  const r = await fetch("https://api.openai.com/v1/embeddings", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: "text-embedding-3-small", // cheap + good
-      input: text
-    })
-  });
-  const data = await r.json();
-  if (data.error) throw new Error(data.error.message);
-  return data.data[0].embedding;
+  const [vec] = await LLM.embed([text]);
+  return vec;
 }
 
-function cosine(a, b) {
-  let dot=0, na=0, nb=0;
-  for (let i=0; i<a.length; i++) { dot+=a[i]*b[i]; na+=a[i]*a[i]; nb+=b[i]*b[i]; }
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
-}
 const app = express();
 app.use(bodyParser.json());
 app.use(express.static("public"));
 
-// ---- Load local school data (edit data/school.json) ----
-let SCHOOL_DB = {};
-try {
-  const raw = fs.readFileSync("data/school.json", "utf-8");
-  SCHOOL_DB = JSON.parse(raw);
-  console.log(`📚 Loaded local KB for: ${SCHOOL_DB.school?.name || "Unknown School"}`);
-} catch (e) {
-  console.warn("⚠️ Could not load data/school.json. Local KB disabled.", e.message);
-  SCHOOL_DB = { school: { name: "Unknown" }, deadlines: [], professors: [], courses: [], faq: [] };
-}
+// ---- Load local school data (edit data/schools/<id>.json) ----
+const KB_DIR = process.env.KB_DIR || "data/schools";
 
-// --- De-duplicate professors by normalized name and merge courses ---
-if (Array.isArray(SCHOOL_DB.professors)) {
-  const byName = new Map();
-  for (const p of SCHOOL_DB.professors) {
-    const key = (p.name || "").toLowerCase().trim();
-    if (!key) continue;
-    if (!byName.has(key)) {
-      byName.set(key, { ...p, courses: Array.isArray(p.courses) ? [...new Set(p.courses)] : [] });
-    } else {
-      const base = byName.get(key);
-      // merge courses
-      const mergedCourses = new Set([
-        ...(Array.isArray(base.courses) ? base.courses : []),
-        ...(Array.isArray(p.courses) ? p.courses : [])
-      ]);
-      byName.set(key, {
-        ...base,
-        ...p, // later fields can update earlier ones
-        courses: [...mergedCourses]
-      });
-    }
+// KB_VALIDATION=warn downgrades schema errors to warnings (start/reload anyway)
+const KB_WARN_ONLY = (process.env.KB_VALIDATION || "").toLowerCase() === "warn";
+
+// ---- Per-client sessions (see lib/sessions.js) ----
+const SESSIONS = createSessionStore({
+  ttlMs: Number(process.env.SESSION_TTL_MINUTES || 120) * 60 * 1000,
+  maxSessions: Number(process.env.SESSION_MAX || 1000),
+  backend: backendFromEnv()
+});
+console.log(`🗂️ Sessions: ${SESSIONS.backend} (${SESSIONS.size} restored)`);
+
+// how many transcript messages (user + assistant) we keep and send to the model
+const MAX_HISTORY_MESSAGES = Number(process.env.MAX_HISTORY_MESSAGES || 12);
+
+const SID_COOKIE = "sid";
+const SID_RE = /^[A-Za-z0-9_-]{8,64}$/;
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
   }
-  SCHOOL_DB.professors = Array.from(byName.values());
+  return null;
 }
 
-// ---- Tiny in-memory session (single-user dev) ----
-let SESSION = {
-  lastCourse: null,          // e.g., "MATH 1A"
-  lastProfessor: null,       // the most recently suggested prof name
-  rankCursor: {}             // { "MATH 1A": 0 } -> index into rankings list (0-based)
+const requestSid = req => {
+  const sid = req.get("x-session-id") || readCookie(req, SID_COOKIE);
+  return sid && SID_RE.test(sid) ? sid : null;
 };
 
-// ---- Build embedding index from SCHOOL_DB ----
-let EMB_INDEX = []; // [{type, data, text, emb}]
+function bindSession(req, res, sid) {
+  req.sessionId = sid;
+  req.session = SESSIONS.get(sid);
+  res.set("X-Session-Id", sid);
+  res.cookie(SID_COOKIE, sid, { httpOnly: true, sameSite: "lax", maxAge: Number(process.env.SESSION_TTL_MINUTES || 120) * 60 * 1000 });
+  res.on("finish", () => SESSIONS.commit());
+}
 
-async function buildIndex() {
-  try {
-    const items = [];
+// Chat routes: resolve the caller's session id from the X-Session-Id header or
+// the sid cookie, issuing a fresh one if neither is present. Whatever the
+// handler changes on req.session is queued for persistence once the response is sent.
+function attachSession(req, res, next) {
+  bindSession(req, res, requestSid(req) || SESSIONS.newId());
+  next();
+}
 
-    (SCHOOL_DB.deadlines||[]).forEach(d => {
-      items.push({
-        type: "deadline",
-        data: d,
-        text: `Deadline | ${d.term} | ${d.category} | ${d.description} | ${d.date} ${d.time||""} | ${d.notes||""} | ${(d.keywords||[]).join(" ")}`
-      });
-    });
+// Everything else: use the caller's live session if there is one, but never
+// start a new one. Cookie-less clients (calendar apps, scripts) get a throwaway
+// state, so they can't push real chat sessions out of the LRU.
+function reuseSession(req, res, next) {
+  const sid = requestSid(req);
+  if (sid && SESSIONS.has(sid)) {
+    bindSession(req, res, sid);
+  } else {
+    req.sessionId = null;
+    req.session = newSessionState();
+  }
+  next();
+}
 
-    (SCHOOL_DB.professors||[]).forEach(p => {
-      items.push({
-        type: "professor",
-        data: p,
-        text: `Professor | ${p.name} | ${p.department} | ${(p.courses||[]).join(", ")} | rating ${p.rating||""} | ${p.reviews||""}`
-      });
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.on(sig, () => { SESSIONS.flush(); process.exit(0); });
+}
+
+// ---- Build embedding index for one school's KB ----
+// index entries: [{type, data, text, emb}]; vectors are cached per school
+const EMB_CACHE_DIR = process.env.EMB_CACHE_DIR || "data";
+
+// Every KB item with the text both retrievers see (BM25 tokens, embedding input);
+// buildIndex embeds them in this same order
+function kbItems(db) {
+  const items = [];
+
+  (db.deadlines||[]).forEach(d => {
+    items.push({
+      type: "deadline",
+      data: d,
+      text: `Deadline | ${d.term} | ${d.category} | ${d.description} | ${d.date} ${d.time||""} | ${d.notes||""} | ${(d.keywords||[]).join(" ")}`
     });
+  });
 
-    (SCHOOL_DB.courses||[]).forEach(c => {
-      items.push({
-        type: "course",
-        data: c,
-        text: `Course | ${c.code} | ${c.title} | ${c.department} | ${c.description||""} | ${c.notes||""}`
-      });
+  (db.professors||[]).forEach(p => {
+    items.push({
+      type: "professor",
+      data: p,
+      text: `Professor | ${p.name} | ${p.department} | ${(p.courses||[]).join(", ")} | rating ${p.rating||""} | ${p.reviews||""}`
     });
+  });
 
-    (SCHOOL_DB.faq||[]).forEach(f => {
-      items.push({
-        type: "faq",
-        data: f,
-        text: `FAQ | ${f.q} | ${f.a} | ${(f.keywords||[]).join(" ")}`
-      });
+  (db.courses||[]).forEach(c => {
+    items.push({
+      type: "course",
+      data: c,
+      text: `Course | ${c.code} | ${c.title} | ${c.department} | ${c.description||""} | ${c.notes||""}`
     });
+  });
 
-    (SCHOOL_DB.majors || []).forEach(m => {
-      const lower = m.lower_division || [];
-      const upper = m.upper_division || [];
-      const text = [
-        "Major",
-        m.campus,
-        m.program,
-        (m.aliases || []).join(" "),
-        "Lower:", lower.join(" ; "),
-        "Upper:", upper.join(" ; "),
-        m.notes || ""
-      ].join(" | ");
-      items.push({ type: "major", data: m, text });
+  (db.faq||[]).forEach(f => {
+    items.push({
+      type: "faq",
+      data: f,
+      text: `FAQ | ${f.q} | ${f.a} | ${(f.keywords||[]).join(" ")}`
     });
+  });
 
-    EMB_INDEX = [];
-    for (const it of items) {
-      const emb = await embed(it.text);
-      EMB_INDEX.push({ ...it, emb });
-    }
-    console.log(`🧠 Built embedding index with ${EMB_INDEX.length} items`);
+  (db.majors || []).forEach(m => {
+    const lower = m.lower_division || [];
+    const upper = m.upper_division || [];
+    const text = [
+      "Major",
+      m.campus,
+      m.program,
+      (m.aliases || []).join(" "),
+      "Lower:", lower.join(" ; "),
+      "Upper:", upper.join(" ; "),
+      m.notes || ""
+    ].join(" | ");
+    items.push({ type: "major", data: m, text });
+  });
+
+  return items;
+}
+
+async function buildIndex(db, schoolId) {
+  try {
+    const items = kbItems(db);
+
+    const { vectors, reused, embedded, failed, error } = await embedWithCache(items, {
+      file: `${EMB_CACHE_DIR}/embeddings.${schoolId}.cache.json`,
+      model: `${LLM.name}/${LLM.embedModel}`,
+      embedBatch: texts => LLM.embed(texts)
+    });
+    const index = items.map((it, i) => ({ ...it, emb: vectors[i] }));
+    console.log(`🧠 Built embedding index for "${schoolId}" with ${index.length} items (${reused} reused, ${embedded} re-embedded)`);
+    if (error) console.warn(`⚠️ ${failed} item(s) have no embedding yet (BM25 only until the next build): ${error.message}`);
+    return index;
   } catch (e) {
     console.warn("⚠️ Embedding index build failed:", e.message);
+    return [];
   }
 }
-buildIndex();
 
 // ---- Simple local search over your KB ----
 function normalize(s) { return (s || "").toLowerCase(); }
@@ -248,55 +278,61 @@ function extractCourseCodes(text) {
   return Array.from(new Set(out));
 }
 
-// very light department extraction (customize as you like)
-function extractDeptHint(text) {
-  const t = normalize(text);
-  if (t.includes("math")) return "mathematics";
-  if (t.includes("cs") || t.includes("computer science") || t.includes("cis")) return "computer science";
-  if (t.includes("physics")) return "physics";
-  if (t.includes("chem")) return "chemistry";
-  return null;
-}
-
-function scoreItem(query, text) {
-  const q = normalize(query);
-  const t = normalize(text || "");
-  if (!q || !t) return 0;
-  let score = 0;
-
-  // keyword overlap
-  q.split(/\W+/).filter(Boolean).forEach(word => {
-    if (t.includes(word)) score += 1;
-  });
-  // position bonus
-  if (t.startsWith(q)) score += 2;
-  return score;
+// department named in the text (aliases.departments), lowercased like courses[].department
+function extractDeptHint(text, db) {
+  return aliasesFor(db).deptHint(text);
 }
 
 function canonCourse(s) {
   return (s || "").toUpperCase().replace(/[\s-]+/g, " ").trim(); // normalize
 }
 
-// === Valid course codes (built once from courses + rankings) ===
-let VALID_CODES = new Set();
-function computeValidCodes() {
-  VALID_CODES = new Set([
-    ...((SCHOOL_DB.courses || []).map(c => canonCourse(c.code))),
-    ...Object.keys(SCHOOL_DB.rankings || {}).map(canonCourse),
+// === Valid course codes (from courses + rankings; recomputed on KB reload) ===
+function computeValidCodes(db) {
+  const codes = new Set([
+    ...((db.courses || []).map(c => canonCourse(c.code))),
+    ...Object.keys(db.rankings || {}).map(canonCourse),
   ]);
-  console.log("✅ Valid course codes:", [...VALID_CODES].join(", "));
+  console.log(`✅ Valid course codes (${db.school?.name || "Unknown School"}):`, [...codes].join(", "));
+  return codes;
 }
-computeValidCodes();
 
-function resolveCourseAlias(text) {
-  const s = (text || "").toLowerCase();
-  if (/\b(calculus\s*i|calc\s*i|math\s*1a)\b/.test(s)) return "MATH 1A";
-  if (/\b(calculus\s*ii|calc\s*ii|math\s*1b)\b/.test(s)) return "MATH 1B";
-  if (/\b(calculus\s*iii|calc\s*iii|math\s*1c)\b/.test(s)) return "MATH 1C";
-  return null;
+// ---- Schools (see lib/schools.js): each has its own db, valid codes and index ----
+let SCHOOLS;
+try {
+  SCHOOLS = createSchoolRegistry({
+    dir: KB_DIR,
+    warnOnly: KB_WARN_ONLY,
+    defaultId: process.env.DEFAULT_SCHOOL,
+    computeValidCodes,
+    buildIndex
+  });
+} catch (e) {
+  console.error(`❌ Refusing to start: ${e.message}. Fix it, or set KB_VALIDATION=warn to start anyway.`);
+  process.exit(1);
+}
+if (process.env.KB_WATCH !== "0") SCHOOLS.watch();
+
+// "calc 2" / "linear algebra" -> course code (aliases.courses)
+function resolveCourseAlias(text, db) {
+  return aliasesFor(db).courseAlias(text);
 }
 
-function parseRankIntent(query) {
+// Curated list when the KB has one for the course, else the automatic ranking
+// (lib/autoRank.js); curated notes about a professor still feed its signals.
+// { auto: true } skips the curated list.
+function rankingsFor(db, code, { auto = false } = {}) {
+  const curated = db.rankings?.[code];
+  if (!auto && curated?.length) return curated.slice().sort((a, b) => (a.rank ?? 999) - (b.rank ?? 999));
+  const notesFor = p => Object.values(db.rankings || {}).flat()
+    .filter(r => normalize(r.name) === normalize(p.name))
+    .map(r => r.notes || "")
+    .join(" ");
+  return autoRank(db.professors, code, { notesFor });
+}
+
+// `preferred` (profile rank_tags) replaces the plain "best" default
+function parseRankIntent(query, preferred = []) {
   const q = query.toLowerCase();
   const wantBest = /best\s+(prof|professor)/.test(q) || /\btop\b/.test(q);
   const wantSecond = /(second|2nd)\s+best/.test(q);
@@ -306,260 +342,275 @@ function parseRankIntent(query) {
   if (wantSecond) tags.push("second_best");
   if (wantEasiest) tags.push("easiest");
   if (wantTeach) tags.push("best_teaching");
-  if (!tags.length && wantBest) tags.push("best_overall"); // default “best”
+  if (!tags.length && wantBest) tags.push(...(preferred.length ? preferred : ["best_overall"])); // default “best”
   return { tags, asked: wantBest || wantSecond || wantEasiest || wantTeach };
 }
 
-function detectIntent(q) {
-  const s = (q || "").toLowerCase();
-  const w = words(q);
+// ---- Typo tolerance (lib/fuzzy.js) ----
+// One resolver per KB snapshot: a reload swaps in a new db object, so keying on
+// it rebuilds lazily and lets the old one go.
+const resolvers = new WeakMap();
+function resolverFor(kb) {
+  const { db } = kb;
+  if (!resolvers.has(db)) resolvers.set(db, createKBResolver(db, { codes: [...kb.validCodes], aliases: aliasesFor(db) }));
+  return resolvers.get(db);
+}
 
-  // full-name mention
-  const names = (SCHOOL_DB.professors || []).map(p => p.name).filter(Boolean);
-  const fullMention = names.find(n => s.includes(n.toLowerCase()));
-
-  // NEW: last-name mention (whole-word)
-  let lastNameMention = null;
-  if (!fullMention && w.length) {
-    const lastNameMap = new Map(); // last -> array of profs
-    for (const p of (SCHOOL_DB.professors || [])) {
-      const parts = (p.name || "").toLowerCase().split(/\s+/);
-      if (!parts.length) continue;
-      const last = parts[parts.length - 1];
-      if (!lastNameMap.has(last)) lastNameMap.set(last, []);
-      lastNameMap.get(last).push(p);
-    }
-    for (const token of w) {
-      if (lastNameMap.has(token)) {
-        lastNameMention = token;
-        break;
-      }
-    }
-  }
+const YES_RE = /^(yes|yeah|yep|yup|y|sure|correct|right|ok|okay)\b[\s.!]*$/i;
 
-  if (isMajorReqQuery(s)) return "major_requirements";
-  if (/(best|top|easiest)\s+(prof|professor)/.test(s)) return "prof_ranking";
-  if (fullMention || lastNameMention) return "prof_lookup";   // ← key change
-  if (/\b(waitlist|full|closed|no seats|class is full)\b/.test(s)) return "class_full";
-  if (/\b(tutor|tutoring|stem center|writing center)\b/.test(s)) return "tutoring";
-  if (/\b(deadline|last day|drop|withdraw|add|calendar)\b/.test(s)) return "deadline";
-  if (/\bwho should i take\b/.test(s) && SESSION.lastCourse) return "class_full";
-  return "generic";
+// "Did you mean Edward Ahrens (CIS 22B)?" for the matches the resolver wasn't sure about
+function didYouMean(unsure) {
+  const asks = unsure.map(m => m.options.map(o => o.label).join(" or "));
+  const single = unsure.every(m => m.options.length === 1);
+  return `Did you mean ${asks.join(", and ")}? ` +
+    (single ? `Say "yes" and I'll answer that.` : `Say "yes" for ${unsure.map(m => m.match).join(" and ")}, or tell me which one.`);
 }
 
+// [{ intent, confidence, cues }], most confident first (see lib/intents.js)
+function detectIntents(q, kb, session) {
+  const facts = intentFacts(q, { db: kb.db, validCodes: kb.validCodes, aliases: aliasesFor(kb.db), session });
+  return classifyIntents(q, facts);
+}
 
-async function searchLocalKB(query) {
-  const hits = [];
-  let courseCodesInQuery = extractCourseCodes(query).map(canonCourse);
-  let alias = null;
-  if (courseCodesInQuery.length === 0) {
-    alias = resolveCourseAlias(query);
-    if (alias) courseCodesInQuery = [canonCourse(alias)];
+
+// ---- Follow-up resolution ----
+// Rewrites "what about her other classes?" / "and for UCLA?" into a standalone
+// query using what this session last talked about, before retrieval runs.
+// they/them/their usually mean the college or an office ("when do they open registration?"), so only he/she count
+const PRONOUN_RE = /\b(she|he|her|him|his)\b/i;
+// what a question about a professor talks about (short follow-ups like "what about him?" count too)
+const PROFESSOR_TOPIC_RE = /\b(rat(e|ed|ing|ings)|reviews?|rmp|class(es)?|courses?|sections?|teach(es|ing)?|taught|lectures?|grad(e|es|er|ing)|exams?|tests?|quiz(zes)?|homework|curve|easy|hard|tough|strict|difficult(y)?|good|best|worth|take|like|office hours|email|recommend(ed)?)\b/i;
+const COURSE_REF_RE = /\b(that|this|the same)\s+(class|course)\b/i;
+const ELLIPSIS_RE = /^\s*(and|what about|how about|same for|and for|what's it like at|for)\b/i;
+
+function mentionsProfessor(q, kb) {
+  const s = (q || "").toLowerCase();
+  const w = words(q);
+  return (kb.db.professors || []).some(p => {
+    const name = (p.name || "").toLowerCase();
+    if (!name) return false;
+    const last = name.split(/\s+/).pop();
+    return s.includes(name) || w.includes(last);
+  });
+}
+
+function resolveFollowUp(message, kb, session) {
+  let q = message || "";
+  if (!session) return q;
+
+  // "her" / "his" -> last professor (possessive when another word follows),
+  // only when the message is about a professor and not, say, campus services
+  const aboutProfessor = PROFESSOR_TOPIC_RE.test(q) || words(q).length <= 4;
+  if (session.lastProfessor && PRONOUN_RE.test(q) && aboutProfessor && !mentionsProfessor(q, kb)) {
+    const name = session.lastProfessor;
+    q = q.replace(/\b(her|his)\b(?=\s+[a-z])/gi, `${name}'s`)
+         .replace(/\b(she|he|her|him|his)\b/gi, name);
   }
 
-   // NEW: if we did find codes but none are actually in our DB, try alias
-   if (
-    courseCodesInQuery.length > 0 &&
-    !courseCodesInQuery.some(c => VALID_CODES.has(c))
-  ) {
-    alias = resolveCourseAlias(query);
-    if (alias) courseCodesInQuery = [canonCourse(alias)];
+  // "that class" -> last course
+  if (session.lastCourse && COURSE_REF_RE.test(q) && extractCourseCodes(q).filter(c => kb.validCodes.has(canonCourse(c))).length === 0) {
+    q = q.replace(COURSE_REF_RE, session.lastCourse);
   }
 
-  const deptHint = extractDeptHint(query);
-  const qNorm = normalize(query);
+  // "and for UCLA?" -> last major query, re-targeted at the new campus
+  const campus = extractCampusHint(q, kb.db);
+  if (campus && session.lastMajorQuery && !isMajorReqQuery(q, kb.db) &&
+      (ELLIPSIS_RE.test(q) || words(q).length <= 4)) {
+    q = `${stripCampus(session.lastMajorQuery, kb.db)} ${campus}`;
+  }
 
-  console.log("🔎 courseCodesInQuery:", courseCodesInQuery);
+  if (q !== message) console.log("↪️ follow-up resolved:", { from: message, to: q });
+  return q;
+}
 
-  // 🔎 If the user mentioned a professor by name, return only that professor
-  const profNames = (SCHOOL_DB.professors || []).map(p => p.name);
-  const mentioned = profNames.filter(name => qNorm.includes(normalize(name)));
-  if (mentioned.length > 0) {
-    const exactMatches = (SCHOOL_DB.professors || []).filter(p =>
-      mentioned.some(m => normalize(p.name) === normalize(m))
-    );
-    if (exactMatches.length > 0) {
-      SESSION.lastProfessor = exactMatches[0].name; // remember who the user is focused on
-      return exactMatches.map(p => ({
-        type: "professor",
-        score: 100,
-        data: p
-      }));
-    }
+// ---- Hybrid retrieval (see lib/retrieval.js) ----
+// Per-type multipliers on the fused score: majors have their own matcher and long
+// texts that overlap almost any question; FAQ answers are short and curated.
+const TYPE_BOOST = { deadline: 1, professor: 1, course: 1, faq: 1.1, major: 0.8 };
+
+const retrievers = new WeakMap();
+function retrieverFor(kb) {
+  if (!retrievers.has(kb.db)) {
+    const depts = new Set([...knownDepts(kb)].map(d => d.toLowerCase()));
+    // without the "Professor | " label, or "best professor" would match every professor
+    const textOf = it => it.text.replace(/^\w+ \| /, "");
+    retrievers.set(kb.db, createRetriever(kbItems(kb.db), { depts, textOf }));
   }
+  return retrievers.get(kb.db);
+}
 
-  // --- NEW: fallback to last-name match if no exact full-name hit ---
-  if (!mentioned.length) {
-    const qWords = qNorm.split(/\s+/);
-    const profMatches = (SCHOOL_DB.professors || []).filter(p => {
-      const parts = p.name.toLowerCase().split(/\s+/);
-      const last = parts[parts.length - 1]; // last word of prof name
-      return qWords.includes(last);
-    });
-    if (profMatches.length > 0) {
-      SESSION.lastProfessor = profMatches[0].name;
-      return profMatches.map(p => ({
-        type: "professor",
-        score: 90,
-        data: p
-      }));
+// courseCodes / deptHint: what the question names; types: Set of hit types to keep
+async function hybridSearch(query, kb, { courseCodes = [], deptHint = null, types = null, limit = 3 } = {}) {
+  const retriever = retrieverFor(kb);
+  // vectors only once this db's index is built (same items, same order)
+  const vectors = kb.index.length === retriever.items.length ? kb.index.map(it => it.emb) : null;
+  let queryVector = null;
+  if (vectors) {
+    try {
+      queryVector = await embed(query);
+    } catch (e) {
+      console.warn("⚠️ Query embedding failed, using BM25 only:", e.message);
     }
   }
 
-  // 🔝 1) RANKINGS FIRST
-  const { tags: wantTags, asked } = parseRankIntent(query);
-  if (asked && courseCodesInQuery.length > 0) {
-    const code = courseCodesInQuery[0];
-    const list = (SCHOOL_DB.rankings?.[code] || [])
-      .slice()
-      .sort((a, b) => (a.rank || 999) - (b.rank || 999));
-
-    const matches = wantTags.length
-      ? list.filter(item => (item.tags || []).some(t => wantTags.includes(t)))
-      : list;
+  const codes = courseCodes.map(canonCourse);
+  const boost = ({ type, data }) => {
+    let factor = TYPE_BOOST[type] ?? 1;
+    if (type === "professor") {
+      // teaches the asked course -> up; asked about a course they don't teach -> out
+      // (so "best professor for PHYS 4A" still reaches the web fallback)
+      const teaches = (data.courses || []).map(canonCourse);
+      if (codes.length) factor *= codes.some(c => teaches.includes(c)) ? 2 : 0;
+      if (deptHint && normalize(data.department) === deptHint) factor *= 1.3;
+    }
+    if (type === "course" && codes.includes(canonCourse(data.code))) factor *= 2;
+    return factor;
+  };
 
-    const chosen = (matches.length ? matches : list).slice(0, 3);
+  const hits = retriever.search(query, { vectors, queryVector, boost, types, limit });
+  if (hits.length) console.log("🔀 hybrid hits:", hits.map(h => `${h.type} ${h.score} ${JSON.stringify(h.why)}`));
+  return hits;
+}
 
-    // Remember the course for downstream logic (e.g., class_full handoff),
-    // even if we don’t find any rankings.
-    SESSION.lastCourse = code;
-    SESSION.rankCursor[code] = 0;
+// Course codes the question names (or an alias for one, e.g. "calc 2")
+function queryCourseCodes(query, kb) {
+  let codes = extractCourseCodes(query).map(canonCourse);
+  // none, or none that are actually in our DB -> try the aliases
+  if (codes.length === 0 || !codes.some(c => kb.validCodes.has(c))) {
+    const alias = resolveCourseAlias(query, kb.db);
+    if (alias) codes = [canonCourse(alias)];
+  }
+  return codes;
+}
 
-    if (chosen.length > 0) {
-      if (chosen[0]?.name) SESSION.lastProfessor = chosen[0].name;
+// Professors named in the question: full names, else last names
+function professorHits(query, db, session) {
+  const qNorm = normalize(query);
+  const exactMatches = (db.professors || []).filter(p => qNorm.includes(normalize(p.name)));
+  if (exactMatches.length > 0) {
+    session.lastProfessor = exactMatches[0].name; // remember who the user is focused on
+    return exactMatches.map(p => ({ type: "professor", score: 100, data: p }));
+  }
 
-      for (const r of chosen) {
-        const prof = (SCHOOL_DB.professors || [])
-          .find(p => normalize(p.name) === normalize(r.name));
+  const qWords = qNorm.split(/\s+/);
+  const profMatches = (db.professors || []).filter(p => {
+    const parts = p.name.toLowerCase().split(/\s+/);
+    const last = parts[parts.length - 1]; // last word of prof name
+    return qWords.includes(last);
+  });
+  if (profMatches.length > 0) session.lastProfessor = profMatches[0].name;
+  return profMatches.map(p => ({ type: "professor", score: 90, data: p }));
+}
 
-        const merged = {
-          name: r.name,
-          department: prof?.department || "(dept)",
-          rating: prof?.rating ?? null,
-          num_ratings: prof?.num_ratings ?? null,
-          rmp_url: prof?.rmp_url || "",
-          courses: prof?.courses || [code],
-          review_or_notes: r.notes || prof?.reviews || ""
-        };
+// Top 3 ranked professors for a course (filtered by the tags asked for) + its course card;
+// [] when nobody is ranked
+function rankingHits(query, code, db, session) {
+  const { tags: wantTags } = parseRankIntent(query, session.profile?.rank_tags);
+  const list = rankingsFor(db, code);
+
+  const matches = wantTags.length
+    ? list.filter(item => (item.tags || []).some(t => wantTags.includes(t)))
+    : list;
+
+  const chosen = (matches.length ? matches : list).slice(0, 3);
+
+  // Remember the course for downstream logic (e.g., class_full handoff),
+  // even if we don’t find any rankings.
+  session.lastCourse = code;
+  session.rankCursor[code] = 0;
+  if (!chosen.length) return [];
+  if (chosen[0]?.name) session.lastProfessor = chosen[0].name;
+
+  const hits = chosen.map(r => {
+    const prof = (db.professors || [])
+      .find(p => normalize(p.name) === normalize(r.name));
+
+    const merged = {
+      name: r.name,
+      department: prof?.department || "(dept)",
+      rating: prof?.rating ?? null,
+      num_ratings: prof?.num_ratings ?? null,
+      rmp_url: prof?.rmp_url || "",
+      courses: prof?.courses || [code],
+      review_or_notes: (r.auto ? "" : r.notes) || prof?.reviews || ""
+    };
 
-        hits.push({
-          type: "ranking",
-          score: 100 - ((r.rank || 99) * 2),
-          data: { course: code, tags: r.tags || [], rank: r.rank || null, prof: merged }
-        });
-      }
+    return {
+      type: "ranking",
+      score: 100 - ((r.rank || 99) * 2),
+      data: { course: code, tags: r.tags || [], rank: r.rank || null, prof: merged, ...(r.auto ? { auto: true, explanation: r.explanation } : {}) }
+    };
+  });
 
-      const courseItem = (SCHOOL_DB.courses || []).find(c => canonCourse(c.code) === code);
-      if (courseItem) hits.push({ type: "course", score: 0, data: courseItem });
+  const courseItem = (db.courses || []).find(c => canonCourse(c.code) === code);
+  if (courseItem) hits.push({ type: "course", score: 0, data: courseItem });
+  return hits.slice(0, 3);
+}
 
-      // ✅ Only return early if we actually found at least one ranked prof
-      return hits.slice(0, 3);
+// Top 3 majors for the question: campus named (else the profile's targets), major named, loose word overlap
+function majorHits(query, db, session) {
+  const hits = [];
+  // no campus in the question -> the profile's target campuses
+  const campusHint = extractCampusHint(query, db);
+  const campusHints = campusHint ? [campusHint] : (session.profile?.campuses || []).map(c => c.toLowerCase());
+  const named = new Set(aliasesFor(db).majorsMentioned(query));
+  const qWords = query.toLowerCase().split(/\W+/).filter(Boolean);
+
+  for (const m of db.majors || []) {
+    let score = 0;
+    // Campus match
+    for (const campusHint of campusHints) {
+      if (m.campus.toLowerCase() === campusHint.toLowerCase()) score += 10;
     }
 
-    // ❎ No rankings for this course -> do NOT return here.
-    // Let the function fall through to embeddings/keyword search and finally the 🌐 web fallback.
-  }
+    const blob = [
+      m.program,
+      (m.aliases || []).join(" "),
+      (m.lower_division || []).join(" "),
+      (m.upper_division || []).join(" ")
+    ].join(" ").toLowerCase();
 
-  // 🔍 2) SEMANTIC SEARCH (embeddings) as primary fallback
-  if (EMB_INDEX.length > 0) {
-    try {
-      const queryEmb = await embed(query);
-      const sims = EMB_INDEX.map(it => ({ it, sim: cosine(queryEmb, it.emb) }))
-                            .sort((a,b) => b.sim - a.sim);
-
-      const MIN_SIM = 0.78; // tweak threshold
-      const top = sims.filter(s => s.sim >= MIN_SIM).slice(0, 3);
-
-      if (top.length > 0) {
-        console.log("🧠 Embedding hits:", top.map(t => ({ type: t.it.type, sim: t.sim.toFixed(3) })));
-        const embHits = top.map(s => ({
-          type: s.it.type,
-          score: Math.round(100 * s.sim),
-          data: s.it.data
-        }));
-        return embHits; // ✅ confident semantic match
-      }
-    } catch (e) {
-      console.warn("⚠️ Embedding search failed:", e.message);
-      // fall through to keyword fallback
-    }
+    // named by its program or one of its aliases (majors[].aliases)
+    if (named.has(m)) score += 4;
+
+    // Loose keyword overlap
+    for (const w of qWords) if (blob.includes(w)) score += 0.3;
+
+    if (score > 0) hits.push({ type: "major", score, data: m });
   }
 
-  const pushHits = (arr, type, toBlob, extraScorer) => {
-    for (const item of arr || []) {
-      const blob = toBlob(item);
-      let s = scoreItem(query, blob);
+  return hits.sort((a, b) => b.score - a.score).slice(0, 3);
+}
 
-      if (extraScorer) s += extraScorer(item, qNorm, courseCodesInQuery, deptHint);
+async function searchLocalKB(query, kb, session) {
+  const { db } = kb;
+  const hits = [];
+  const courseCodesInQuery = queryCourseCodes(query, kb);
 
-      if (s > 0) hits.push({ type, score: s, data: item });
-    }
-  };
+  const deptHint = extractDeptHint(query, db);
 
-  // Deadlines
-  pushHits(
-    SCHOOL_DB.deadlines,
-    "deadline",
-    d => `${d.term} ${d.category} ${d.description} ${d.date} ${d.time || ""} ${d.notes || ""} ${(d.keywords || []).join(" ")}`,
-    null
-  );
-
-  // Professors — heavily boost exact course code and department matches
-  pushHits(
-    SCHOOL_DB.professors,
-    "professor",
-    p => `${p.name} ${p.department} ${(p.courses || []).join(" ")} ${p.rating} ${p.reviews || ""}`,
-    (p, _q, courseCodes, dept) => {
-      let bonus = 0;
-      const profCourses = (p.courses || []).map(c => c.toUpperCase().replace(/[\s-]+/g, " ").trim());
-
-      // strong boost for exact course match(es)
-      for (const code of courseCodes) {
-        const normCode = code.toUpperCase().replace(/[\s-]+/g, " ").trim();
-        if (profCourses.includes(normCode)) bonus += 8;   // big boost
-      }
+  console.log("🔎 courseCodesInQuery:", courseCodesInQuery);
 
-      // moderate boost if dept matches user hint
-      if (dept && normalize(p.department) === dept) bonus += 3;
+  // 🔎 If the user mentioned a professor by name, return only that professor
+  const profHits = professorHits(query, db, session);
+  if (profHits.length) return profHits;
 
-      // slight penalty if user asked for a "best professor for X" and this prof doesn't teach X
-      if (courseCodes.length > 0) {
-        const teachesRequested = courseCodes.some(code =>
-          profCourses.includes(code.toUpperCase().replace(/[\s-]+/g, " ").trim())
-        );
-        if (!teachesRequested) bonus -= 4; // push irrelevant profs down
-      }
+  // 🔝 1) RANKINGS FIRST
+  const { asked } = parseRankIntent(query, session.profile?.rank_tags);
+  if (asked && courseCodesInQuery.length > 0) {
+    const ranked = rankingHits(query, courseCodesInQuery[0], db, session);
+    // ✅ Only return early if we actually found at least one ranked prof
+    if (ranked.length) return ranked;
 
-      return bonus;
-    }
-  );
-
-  // Courses — boost if query contains the exact course code
-  pushHits(
-    SCHOOL_DB.courses,
-    "course",
-    c => `${c.code} ${c.title} ${c.department} ${c.description || ""} ${c.notes || ""}`,
-    (c, _q, courseCodes) => {
-      let bonus = 0;
-      const normCode = (c.code || "").toUpperCase().replace(/\s+/, " ").trim();
-      for (const code of courseCodes) {
-        if (normCode === code.toUpperCase().replace(/\s+/, " ").trim()) bonus += 6;
-      }
-      return bonus;
-    }
-  );
+    // ❎ No rankings for this course -> do NOT return here.
+    // Let the function fall through to the hybrid search and finally the 🌐 web fallback.
+  }
 
-  // FAQ
-  pushHits(
-    SCHOOL_DB.faq,
-    "faq",
-    f => `${f.q} ${f.a} ${(f.keywords || []).join(" ")}`,
-    null
-  );
+  // 🔀 2) HYBRID SEARCH: BM25 + embeddings (once built), fused into one ranked list
+  hits.push(...await hybridSearch(query, kb, { courseCodes: courseCodesInQuery, deptHint, limit: 10 }));
 
   // If user explicitly asked "best professor for <course>", prefer professors first
-    // If user explicitly asked "best professor for <course>", prefer professors first
-    const askedBestProfForCourse =
+  const askedBestProfForCourse =
     /(best\s+(prof|professor))/i.test(query) && courseCodesInQuery.length > 0;
 
   hits.sort((a, b) => {
@@ -575,10 +626,8 @@ async function searchLocalKB(query) {
   // plus at most one matching course card. No unrelated professors.
   if (askedBestProfForCourse) {
     const profThatTeach = hits.filter(h => h.type === "professor").filter(h => {
-      const profCourses = (h.data.courses || []).map(c => c.toUpperCase().replace(/\s+/, " ").trim());
-      return courseCodesInQuery.some(code =>
-        profCourses.includes(code.toUpperCase().replace(/\s+/, " ").trim())
-      );
+      const profCourses = (h.data.courses || []).map(canonCourse);
+      return courseCodesInQuery.some(code => profCourses.includes(canonCourse(code)));
     });
 
     // If we have any matching professors, return them (cap at 2) + 1 course card
@@ -592,75 +641,23 @@ async function searchLocalKB(query) {
   }
 
   // --- Major requirements matching (local KB) ---
-  const majorHits = [];
-  const campusHint = extractCampusHint(query);
-  const wantsMajor = isMajorReqQuery(query);
-
-  if (wantsMajor && (SCHOOL_DB.majors || []).length) {
-    for (const m of SCHOOL_DB.majors) {
-      let score = 0;
-      // Campus match
-      if (campusHint) {
-        if (m.campus.toLowerCase().includes(campusHint.replace(/^uc /, "uc ").toLowerCase())) score += 10;
-        const synonyms = {
-          "ucsd": "uc san diego",
-          "ucla": "ucla",
-          "ucsb": "uc santa barbara",
-          "uci": "uc irvine",
-          "ucd": "uc davis",
-          "ucsc": "uc santa cruz",
-          "ucr": "uc riverside",
-          "ucm": "uc merced"
-        };
-        for (const k in synonyms) {
-          if (campusHint === k && m.campus.toLowerCase() === synonyms[k]) score += 10;
-        }
-      }
-      
-      const blob = [
-        m.program,
-        (m.aliases || []).join(" "),
-        (m.lower_division || []).join(" "),
-        (m.upper_division || []).join(" ")
-      ].join(" ").toLowerCase();
-
+  const majors = isMajorReqQuery(query, db) ? majorHits(query, db, session) : [];
+  if (majors.length) return majors;
 
-      if (/\bdata\s*science\b/.test(blob)) score += 4;
-      if (/\bdata\s*theory\b/.test(blob)) score += 2;
-
-      // Loose keyword overlap
-      const words = query.toLowerCase().split(/\W+/).filter(Boolean);
-      for (const w of words) if (blob.includes(w)) score += 0.3;
-
-      if (score > 0) majorHits.push({ type: "major", score, data: m });
-    }
-
-    if (majorHits.length) {
-      majorHits.sort((a,b) => b.score - a.score);
-      return majorHits.slice(0, 3);
-    }
-  }
-
-  // 🌐 --- Web fallback: try Google CSE if we found no prof hits ---
+  // 🌐 --- Web fallback: search the web (Google CSE or fixtures) if we found no prof hits ---
   const needProfButEmpty =
   (hits.length === 0 || !hits.some(h => h.type === "ranking" || h.type === "professor"));
 
   if (needProfButEmpty && /(best|top|easiest)\s+(prof|professor)/i.test(query)) {
   const course = (courseCodesInQuery[0] || "").trim();
-  const school = SCHOOL_DB.school?.name || "";
+  const school = db.school?.name || "";
 
   const qWeb = [course, school].filter(Boolean).join(" ");
 
-  // Query RateMyProfessors
-  const rmpResults = await webSearch(`${qWeb} Rate My Professors`, {
-    site: "ratemyprofessors.com",
-    num: 10
-  });
-
-  // Query school site as well
-  const schoolHost = (SCHOOL_DB.school?.website || "")
+  // Query school site as well (unscoped if this school has no website on file)
+  const schoolHost = (db.school?.website || "")
     .replace(/^https?:\/\//, "")
-    .replace(/\/.*$/, "") || "deanza.edu";
+    .replace(/\/.*$/, "") || undefined;
 
   const siteQuerys = [
     `${qWeb} instructor`,
@@ -669,11 +666,12 @@ async function searchLocalKB(query) {
     `${qWeb} department`
   ];
 
-  let schoolResults = [];
-  for (const sq of siteQuerys) {
-    const batch = await webSearch(sq, { site: schoolHost, num: 5 });
-    schoolResults.push(...batch);
-  }
+  // RateMyProfessors + the school site, all at once (results keep this order)
+  const [rmpResults, ...schoolBatches] = await Promise.all([
+    webSearch(`${qWeb} Rate My Professors`, { site: "ratemyprofessors.com", num: 10 }),
+    ...siteQuerys.map(sq => webSearch(sq, { site: schoolHost, num: 5 }))
+  ]);
+  const schoolResults = schoolBatches.flat();
 
   // Collect candidate names from RMP titles
   const candidates = [];
@@ -753,10 +751,103 @@ async function searchLocalKB(query) {
   return hits.slice(0, 3);
 }
 
+// ---- Per-intent retrieval and snippets ----
+// hit types each intent can use
+const ALLOW_BY_INTENT = {
+  prof_ranking: new Set(["ranking","professor","course"]),
+  prof_lookup:  new Set(["professor","course"]),
+  prof_compare: new Set(["comparison","course"]),
+  class_full:   new Set(["ranking","faq","deadline"]),
+  tutoring:     new Set(["faq","course","deadline"]),
+  deadline:     new Set(["deadline","faq"]),
+  major_requirements: new Set(["major","faq","course"]),
+  major_progress: new Set(["major","course","ranking"]),
+  major_overlap: new Set(["major","course"]),
+  major_plan: new Set(["major","course"]),
+  generic:      new Set(["professor","course","faq"]) // ← add at least "professor"
+};
+const MAJOR_INTENTS = new Set(["major_requirements", "major_progress", "major_overlap", "major_plan"]);
+
+// the hit type an intent can't be answered without (deadlines, comparisons and
+// the class_full handoff are looked up in answerChat itself)
+const CORE_TYPE = { prof_ranking: "ranking", prof_lookup: "professor", major_requirements: "major", tutoring: "faq" };
+
+// Hits for each detected intent that `hits` has nothing for
+async function intentHits(intents, hits, query, kb, session) {
+  const { db } = kb;
+  const out = [];
+  for (const { intent } of intents) {
+    const core = CORE_TYPE[intent];
+    if (!core || [...hits, ...out].some(h => h.type === core)) continue;
+    if (intent === "prof_ranking") {
+      const code = queryCourseCodes(query, kb).find(c => kb.validCodes.has(c));
+      if (code) out.push(...rankingHits(query, code, db, session));
+    } else if (intent === "prof_lookup") {
+      out.push(...professorHits(query, db, session));
+    } else if (intent === "major_requirements") {
+      out.push(...majorHits(query, db, session));
+    } else if (intent === "tutoring") {
+      out.push(...await hybridSearch(query, kb, { types: new Set(["faq"]), limit: 2 }));
+    }
+  }
+  return out;
+}
+
+// Up to `max` hits, taken in turn for each intent (most confident first) so the
+// second question in a message still gets snippets; leftovers fill any gap
+function pickSnippets(hits, intents, max) {
+  const queues = intents.map(i => hits.filter(h => (ALLOW_BY_INTENT[i.intent] || ALLOW_BY_INTENT.generic).has(h.type)));
+  const picked = [];
+  while (picked.length < max && queues.some(q => q.length)) {
+    for (const q of queues) {
+      while (q.length && picked.includes(q[0])) q.shift();
+      if (q.length && picked.length < max) picked.push(q.shift());
+    }
+  }
+  for (const h of hits) if (picked.length < max && !picked.includes(h)) picked.push(h);
+  return picked;
+}
+
+// ---- Deadline answers (see lib/deadlines.js) ----
+// BOT_TODAY=YYYY-MM-DD pins "today" for demos and reproducing old answers.
+function today() {
+  return process.env.BOT_TODAY ? new Date(`${process.env.BOT_TODAY}T12:00:00`) : new Date();
+}
+
+// Deadline hits for a question, scoped to the term it names (or the active one),
+// most relevant first, each annotated with days left / passed.
+// `profileTerm` ("Winter 2026") is used when the question doesn't name one.
+function deadlineHitsFor(query, db, now = today(), profileTerm = null) {
+  const annotated = annotateDeadlines(db.deadlines, now);
+  const fromQuery = termFromQuery(query, now);
+  const asked = fromQuery || parseTerm(profileTerm || "");
+  const scope = asked
+    ? { term: asked, items: annotated.filter(a => termKey(a.term) === termKey(asked)) }
+    : activeDeadlines(annotated, now);
+
+  const qWords = new Set(words(query));
+  const relevance = a => {
+    const d = a.deadline;
+    return words(`${d.category} ${d.description} ${(d.keywords || []).join(" ")}`)
+      .filter(w => w.length > 2 && qWords.has(w)).length;
+  };
+
+  const hits = scope.items
+    .map(a => ({
+      type: "deadline",
+      score: 50 + relevance(a) * 10 - (a.passed ? 20 : 0),
+      data: a.deadline,
+      when: { date: a.date.toISOString(), days_left: a.days_left, passed: a.passed, status: a.status }
+    }))
+    .sort((x, y) => y.score - x.score || new Date(x.when.date) - new Date(y.when.date));
+  return { term: scope.term, asked: fromQuery ? "query" : asked ? "profile" : null, hits };
+}
+
 function formatHit(hit) {
   if (hit.type === "deadline") {
     const d = hit.data;
-    return `🗓️ ${d.term} — ${d.category}\n• ${d.description}\n• Date: ${d.date}${d.time ? " " + d.time : ""}${d.notes ? "\n• Notes: " + d.notes : ""}`;
+    const when = hit.when ? `\n• Status: ${hit.when.passed ? "⛔ " : "⏳ "}${hit.when.status}` : "";
+    return `🗓️ ${d.term} — ${d.category}\n• ${d.description}\n• Date: ${d.date}${d.time ? " " + d.time : ""}${when}${d.notes ? "\n• Notes: " + d.notes : ""}`;
   }
   if (hit.type === "professor") {
     const p = hit.data;
@@ -764,6 +855,10 @@ function formatHit(hit) {
     const teaches = (p.courses && p.courses.length) ? `\n• Teaches: ${p.courses.join(", ")}` : "";
     return `👩‍🏫 ${p.name} — ${p.department}\n• Rating: ${p.rating || "N/A"}${p.num_ratings ? ` (${p.num_ratings} ratings)` : ""}${teaches}${rmp}`;
   }
+  if (hit.type === "comparison") {
+    const cmp = hit.data;
+    return `⚖️ ${cmp.professors.map(p => p.name).join(" vs ")}${cmp.course ? ` — ${cmp.course}` : ""}\n${comparisonTable(cmp)}`;
+  }
   if (hit.type === "course") {
     const c = hit.data;
     return `📘 ${c.code}: ${c.title}\n• Dept: ${c.department}${c.description ? `\n• About: ${c.description}` : ""}${c.notes ? `\n• Notes: ${c.notes}` : ""}`;
@@ -781,7 +876,8 @@ function formatHit(hit) {
     const teaches = p.courses?.length ? `• Teaches: ${p.courses.join(", ")}\n` : "";
     const notes = p.review_or_notes ? `• Notes: ${p.review_or_notes}\n` : "";
     const rankline = (r.rank != null) ? `#${r.rank} ` : "";
-    return `🏆 ${rankline}${p.name} — ${p.department}\n• Course: ${r.course}\n• Tag: ${tagLabel}\n${rating}${teaches}${notes}${rmp}`.trim();
+    const why = r.auto ? `• Ranked automatically from ratings: ${r.explanation}\n` : "";
+    return `🏆 ${rankline}${p.name} — ${p.department}\n• Course: ${r.course}\n• Tag: ${tagLabel}\n${why}${rating}${teaches}${notes}${rmp}`.trim();
   }
   
   if (hit.type === "major") {
@@ -789,12 +885,16 @@ function formatHit(hit) {
     const lower = (m.lower_division || []).map(x => `• ${x}`).join("\n");
     const upper = (m.upper_division || []).map(x => `• ${x}`).join("\n");
     const link  = m.source_url ? `\n🔗 Source: ${m.source_url}` : "";
+    const progress = hit.progress
+      ? `\n✅ Already taken: ${hit.progress.met.map(x => x.satisfied_by.join(" + ")).join(", ") || "none of these"}` +
+        `\n⏳ Still needed: ${hit.progress.open.map(o => o.options.map(opt => opt.join(" + ")).join(" or ")).join("; ") || "nothing"}`
+      : "";
     const notes = m.notes ? `\n📝 Notes: ${m.notes}` : "";
   
     return `🎓 ${m.campus} — ${m.program}
   
   **Lower Division (community college prep — articulates to UC upper-division):**
-  ${lower || "—"}
+  ${lower || "—"}${progress}
   
   **Upper Division (completed at ${m.campus} after transfer):**
   ${upper || "—"}${notes}${link}`;
@@ -802,237 +902,840 @@ function formatHit(hit) {
   return "";
 }
 
-// ---- Chat endpoint: always answer with OpenAI, using local KB as context ----
-app.post("/chat", async (req, res) => {
-  try {
-    const userMessage = req.body.message;
-    console.log("📩 User asked:", userMessage);
-
-    // 1) Pull top KB snippets
-    // 1) Pull top KB snippets
-    const hits = await searchLocalKB(userMessage) || [];
-
-    // 🔎 Intent detection + filtering
-    const intent = detectIntent(userMessage);
-    const allowByIntent = {
-      prof_ranking: new Set(["ranking","professor","course"]),
-      prof_lookup:  new Set(["professor","course"]),
-      class_full:   new Set(["ranking","faq","deadline"]),
-      tutoring:     new Set(["faq","course","deadline"]),
-      deadline:     new Set(["deadline","faq"]),
-      major_requirements: new Set(["major","faq","course"]),
-      generic:      new Set(["professor","course","faq"]) // ← add at least "professor"
-    };
-    const allowed = allowByIntent[intent] || allowByIntent.generic;
-    let filteredHits = hits.filter(h => allowed.has(h.type));
+// ---- Major progress: what's still open per campus, given completed courses ----
+// departments this KB knows about, so "took 3 classes" isn't read as a course
+function knownDepts(kb) {
+  const codes = [...kb.validCodes];
+  for (const m of kb.db.majors || []) {
+    for (const req of parseMajorRequirements(m, aliasesFor(kb.db).deptAliases)) codes.push(...req.items.flatMap(i => i.oneOf.flat()));
+  }
+  return new Set(codes.map(c => c.split(" ")[0]));
+}
+
+// campuses: "UCSD", "uc san diego", "UCLA"... (empty -> every major in the KB)
+function majorsFor(db, campuses = []) {
+  const wanted = campuses.map(c => extractCampusHint(c, db) || String(c).toLowerCase());
+  const majors = db.majors || [];
+  return wanted.length ? majors.filter(m => wanted.includes((m.campus || "").toLowerCase())) : majors;
+}
 
+function majorProgress(kb, completed, campuses) {
+  return majorsFor(kb.db, campuses).map(major => ({
+    major,
+    progress: evaluateProgress(major, completed, {
+      rankingsFor: code => rankingsFor(kb.db, code),
+      aliases: aliasesFor(kb.db).deptAliases
+    })
+  }));
+}
 
-    // allow FAQ only if we found no prof/ranking for prof_ranking intent
-    if (intent === "prof_ranking" && !filteredHits.some(h => h.type === "professor" || h.type === "ranking")) {
-      filteredHits = hits.filter(h => allowed.has(h.type) || h.type === "faq");
+function formatProgress(p, n) {
+  const lines = [`🎓 ${p.campus} — ${p.program} [${n}]`];
+  lines.push(`✅ Done: ${p.met.length ? p.met.map(m => m.satisfied_by.join(" + ")).join(", ") : "nothing yet"}`);
+  if (p.open.length) {
+    lines.push("⏳ Still need:");
+    for (const o of p.open) {
+      const options = o.options.map(opt => opt.join(" + ")).join(" or ");
+      const profs = Object.entries(o.ranked_professors)
+        .map(([code, list]) => `${code}: ${list.map(r => r.name).join(", ")}`)
+        .join("; ");
+      lines.push(`• ${options}${profs ? ` — top profs ${profs}` : ""}`);
     }
+  }
+  if (p.unmapped.length) lines.push(`❔ Check with a counselor: ${p.unmapped.map(u => u.text).join(", ")}`);
+  if (p.complete) lines.push("🎉 All lower-division prep covered.");
+  return lines.join("\n");
+}
 
-    // --- NEXT-BEST HANDOFF (deterministic short-circuit) ---
-    if (intent === "class_full" && SESSION.lastCourse) {
-      const course = SESSION.lastCourse;
-
-      // ranked list for the course
-      const list = (SCHOOL_DB.rankings?.[course] || [])
-        .slice()
-        .sort((a,b) => (a.rank ?? 999) - (b.rank ?? 999));
-
-      if (list.length > 0) {
-        // 1) Where are we now?
-        const current = Number.isInteger(SESSION.rankCursor[course])
-          ? SESSION.rankCursor[course]
-          : 0;
-
-        // 2) Move to the next one (after the last suggested name, if any)
-        let nextIndex = current + 1;
-
-        if (SESSION.lastProfessor) {
-          const idx = list.findIndex(
-            r => (r.name || "").toLowerCase() === SESSION.lastProfessor.toLowerCase()
-          );
-          if (idx >= 0) nextIndex = idx + 1;
-        }
+// "UC San Diego" -> "UCSD", "UC Irvine" -> "UCI", "UCLA" stays
+const campusShort = c => /^UC\s/.test(c) ? "UC" + c.slice(3).split(/\s+/).map(w => w[0]).join("").toUpperCase() : c;
+
+function formatOverlap(plan) {
+  const cols = plan.campuses.map(c => campusShort(c.campus));
+  const rows = plan.courses.map(c =>
+    `| ${c.code} | ${plan.campuses.map(p => c.campuses.includes(p.campus) ? "✓" : "").join(" | ")} |`);
+  const lines = [
+    `| Course | ${cols.join(" | ")} |`,
+    `|---|${cols.map(() => "---").join("|")}|`,
+    ...rows,
+    "",
+    `✅ Counts at every campus: ${plan.common.join(", ") || "none"}`,
+    `🧩 Smallest set covering all ${cols.length}: ${plan.minimal_set.join(", ")} (${plan.minimal_set.length} courses)`
+  ];
+  if (plan.unmapped.length) {
+    lines.push(`❔ Check with a counselor: ${plan.unmapped.map(u => `${u.text} (${campusShort(u.campus)})`).join(", ")}`);
+  }
+  return lines.join("\n");
+}
 
-        // 3) Pick the next best
-        const nextBest = list[nextIndex];
-
-        // 4) If no next professor, we’re out of names — exit gracefully
-        if (!nextBest) {
-          const addDrop =
-            (SCHOOL_DB.deadlines || []).find(d => /add/i.test(d.category))?.date ||
-            "the add deadline";
-          return res.json({
-            reply:
-              `I’ve listed everyone I have for ${course}. At this point: ` +
-              `join the waitlist (if offered), email the instructor for an add code, ` +
-              `and check ${addDrop}.`
-          });
-        }
+// Plan options from chat text: "15 units", "starting Winter 2026", "including summer"
+// (the profile's current term means the plan starts the quarter after it)
+function planOptionsFrom(query, profile = emptyProfile()) {
+  const cap = /\b(\d{1,2}(?:\.\d)?)\s*(?:units?|unit cap)\b/i.exec(query || "");
+  const profileTerm = parseTerm(profile.term || "");
+  return {
+    unitCap: cap ? Number(cap[1]) : DEFAULT_UNIT_CAP,
+    startTerm: parseTerm(query) || (profileTerm ? nextTerm(profileTerm) : currentTerms(today()).next),
+    includeSummer: /\bsummers?\b/i.test(query || "")
+  };
+}
 
-        // 5) We have a next professor — look up full details
-        const prof = (SCHOOL_DB.professors || []).find(
-          p => p.name.toLowerCase() === (nextBest.name || "").toLowerCase()
-        );
+// ---- Admin: hot reload + KB status (the file watcher lives in lib/schools.js) ----
+// Admin routes need `Authorization: Bearer $ADMIN_TOKEN`
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ ok: false, error: "Admin API disabled (set ADMIN_TOKEN)." });
+  const given = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const ok = given.length === token.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(token));
+  if (!ok) return res.status(401).json({ ok: false, error: "Unauthorized" });
+  next();
+}
 
-        // 6) Advance the cursor & remember this suggestion
-        SESSION.rankCursor[course] = nextIndex;
-        SESSION.lastProfessor = nextBest.name;
-
-        // 7) Build a deterministic reply (no model guesswork)
-        const ratingStr =
-          (prof?.rating != null)
-            ? ` (rating ${prof.rating}${prof.num_ratings ? `, ${prof.num_ratings} ratings` : ""})`
-            : "";
-        const rmpStr = prof?.rmp_url ? `\n• RMP: ${prof.rmp_url}` : "";
-        const notes = nextBest.notes || prof?.reviews || "";
-
-        return res.json({
-          reply:
-            `Next best for ${course} is **${nextBest.name}** — ${prof?.department || "(dept)"}${ratingStr}.` +
-            (notes ? `\n• Notes: ${notes}` : "") +
-            rmpStr +
-            `\n\nIf the class is full: join the waitlist (if offered), email the instructor for an add code, and check the add/drop deadline.`
-        });
-      }
+// POST /admin/reload            -> every school
+// POST /admin/reload?school=id  -> just that one
+app.post("/admin/reload", requireAdmin, (req, res) => {
+  const ids = req.query.school ? [String(req.query.school)] : SCHOOLS.ids();
+  const results = ids.map(id => ({ id, ...SCHOOLS.reload(id, "admin request") }));
+  const ok = results.every(r => r.ok);
+  res.status(ok ? 202 : 422).json({ ok, results, status: SCHOOLS.statuses() });
+});
+
+app.get("/admin/kb-status", requireAdmin, (req, res) => {
+  res.json({ ok: true, status: SCHOOLS.statuses(), search: SEARCH.stats() });
+});
+
+// CRUD for professors/courses/rankings/deadlines/faq/majors (see lib/adminApi.js),
+// per school under /admin/schools/:school/..., or the default school under /admin/...
+// Each write lands on disk first, then goes live through the same reload path;
+// the embedding cache means only the edited items get re-embedded.
+const schoolOf = req => req.params.school || SCHOOLS.defaultId;
+const adminRouter = createAdminRouter({
+  fileFor: req => SCHOOLS.fileOf(schoolOf(req)),
+  requireAdmin,
+  onWrite: (_db, { req, collection, mtimeMs }) => {
+    const id = schoolOf(req);
+    SCHOOLS.markSelfWrite(id, mtimeMs);
+    SCHOOLS.reload(id, `admin edit: ${collection}`);
+  }
+});
+app.use("/admin/schools/:school", adminRouter);
+app.use("/admin", adminRouter);
+
+// ---- Schools the bot can answer for (frontend picker) ----
+app.get("/schools", (req, res) => {
+  res.json({ schools: SCHOOLS.list(), default: SCHOOLS.defaultId });
+});
+
+// The school a request asked for: body.school, X-School header or ?school=, else
+// whatever this session used last, else the default. Unknown ids get a 400 (null).
+function schoolFor(req, res) {
+  const asked = req.body?.school || req.get("x-school") || req.query.school;
+  if (asked && !SCHOOLS.has(asked)) {
+    res.status(400).json({ reply: `Unknown school "${asked}". Available: ${SCHOOLS.ids().join(", ")}.` });
+    return null;
+  }
+  return asked || (SCHOOLS.has(req.session.schoolId) ? req.session.schoolId : SCHOOLS.defaultId);
+}
+
+// Chat and profile writes: the asked school becomes the session's. Switching
+// schools drops the course/professor context (it belongs to the old school's KB).
+function attachSchool(req, res, next) {
+  const id = schoolFor(req, res);
+  if (!id) return;
+  const session = req.session;
+  if (session.schoolId && session.schoolId !== id) {
+    Object.assign(session, { lastCourse: null, lastProfessor: null, rankCursor: {}, lastCampus: null, lastMajorQuery: null });
+  }
+  session.schoolId = id;
+  req.kb = SCHOOLS.get(id);
+  next();
+}
+
+// Read-only routes: the asked school applies to this request only, so peeking
+// at another school's deadlines doesn't reset the conversation.
+function useSchool(req, res, next) {
+  const id = schoolFor(req, res);
+  if (!id) return;
+  req.kb = SCHOOLS.get(id);
+  next();
+}
+
+// ---- Reply guardrail (lib/guardrail.js) ----
+// On by default (REPLY_GUARDRAIL=off to disable). While it's on, /chat/stream
+// relays the model's output a sentence at a time, each one checked first; if a
+// sentence fails, the rest is held back and the checked reply replaces the draft.
+const GUARDRAIL = !/^(0|off|false|no)$/i.test(process.env.REPLY_GUARDRAIL || "on");
+console.log(`🛡️ Reply guardrail: ${GUARDRAIL ? "on (streamed sentence by sentence, checked before each is sent)" : "off"}`);
+
+// One checker per KB snapshot, like the resolver and retriever.
+const replyCheckers = new WeakMap();
+function replyCheckerFor(kb) {
+  const { db } = kb;
+  if (!replyCheckers.has(db)) {
+    replyCheckers.set(db, createReplyChecker({
+      professors: db.professors || [],
+      deadlines: db.deadlines || [],
+      // course titles, campuses, programs and terms are capitalized but never a person
+      vocabulary: words([
+        db.school?.name,
+        ...(db.courses || []).flatMap(c => [c.title, c.department]),
+        ...(db.majors || []).flatMap(m => [m.campus, m.program]),
+        ...(db.deadlines || []).flatMap(d => [d.term, d.category]),
+        ...aliasesFor(db).vocabulary
+      ].filter(Boolean).join(" ")),
+      // everything else the KB names, so "Student Success Center" from an FAQ isn't a person
+      entities: [
+        db.school?.name,
+        ...(db.courses || []).flatMap(c => [c.title, c.description, c.notes]),
+        ...(db.faq || []).flatMap(f => [f.q, f.a]),
+        ...(db.majors || []).flatMap(m => [m.campus, m.program, m.notes]),
+        ...(db.deadlines || []).flatMap(d => [d.description, d.notes])
+      ]
+    }));
+  }
+  return replyCheckers.get(db);
+}
+
+const strictNote = issues =>
+  `Your previous draft said things the context doesn't support: ${issues.map(i => i.message).join("; ")}. ` +
+  `Answer again. Name only professors whose names appear in the context snippets, spelled as they are there; ` +
+  `quote ratings and dates exactly as the snippets show them, or leave them out.`;
+
+// Check the model's reply against the KB. On a problem, ask once more with a
+// stricter prompt, then fall back to the snippets themselves.
+async function guardReply(content, { kb, chatArgs, usedHits, userMessage }) {
+  const checker = replyCheckerFor(kb);
+  const ctx = { snippets: chatArgs.snippets, hits: usedHits, userMessage, today: today() };
+  const summary = issues => issues.map(i => `${i.kind} ${i.value}`).join(", ");
+
+  const issues = checker.check(content, ctx);
+  if (!issues.length) return content;
+  console.log(`🛡️ guardrail (${kb.id}): ${summary(issues)} -> retrying with a stricter prompt`);
+
+  try {
+    const retry = await LLM.chat({
+      ...chatArgs,
+      temperature: 0,
+      messages: [...chatArgs.messages, { role: "system", content: strictNote(issues) }]
+    });
+    const again = checker.check(retry.content, ctx);
+    if (!again.length) {
+      console.log(`🛡️ guardrail (${kb.id}): stricter retry passed`);
+      return retry.content;
     }
+    console.log(`🛡️ guardrail (${kb.id}): retry still has ${summary(again)} -> answering from the snippets`);
+  } catch (e) {
+    console.log(`🛡️ guardrail (${kb.id}): retry failed (${e.message}) -> answering from the snippets`);
+  }
+  return usedHits.length
+    ? `Here’s what I have on file for that:\n\n${usedHits.slice(0, 3).map((h, i) => `${formatHit(h)} [${i + 1}]`).join("\n\n")}`
+    : `I don’t have reliable info on that in the knowledge base. Try asking with an exact course code (e.g., "MATH 1A"), or check the college website.`;
+}
+
+// ---- Chat pipeline (shared by /chat and /chat/stream) ----
+// Always answers with the model, using the local KB as context, except for the
+// deterministic class_full handoff. With onDelta, model output is relayed as it
+// is generated (a checked sentence at a time with the guardrail on); `replaced`
+// in the result means the reply differs from what was relayed. `signal` aborts
+// the upstream call when the client goes away.
+async function answerChat({ userMessage, session, kb, onDelta, signal }) {
+  const { db } = kb;
+  const profile = session.profile || emptyProfile();
+  console.log(`📩 User asked (${kb.id}):`, userMessage);
+
+  // every reply goes through here so the transcript stays in sync
+  // (sourceHits are the KB hits the text is based on -> source cards for the client)
+  const reply = (text, sourceHits = []) => {
+    pushTurn(session, "user", userMessage, MAX_HISTORY_MESSAGES);
+    pushTurn(session, "assistant", text, MAX_HISTORY_MESSAGES);
+    return { reply: text, sources: sourceCards(sourceHits, { ...db.school, id: kb.id }) };
+  };
 
-    // Always add a second-best rec for the last course when class is full.
-    // Put it FIRST so the model uses it.
-    // If the class is full, FIRST suggest the next-best professor after the one we last suggested,
-    // then let deadlines/FAQ follow.
-    if (intent === "class_full" && SESSION.lastCourse) {
-      const list = (SCHOOL_DB.rankings?.[SESSION.lastCourse] || []).slice()
-        .sort((a,b) => (a.rank ?? 999) - (b.rank ?? 999));
+  // 0) Typos: fix the confident matches, ask about the rest.
+  // "yes" to a pending "Did you mean …?" replays the corrected question.
+  const pending = session.didYouMean;
+  session.didYouMean = null;
+  const fixed = pending && YES_RE.test(userMessage || "")
+    ? { text: pending, matches: [] }
+    : resolverFor(kb).resolve(userMessage);
+  if (fixed.matches.length) console.log("🔤 fuzzy matches:", fixed.matches.map(m => `${m.text} -> ${m.match} (${m.confidence}${m.ambiguous ? ", ask" : ""})`));
+  const unsure = fixed.matches.filter(m => m.ambiguous);
+  if (unsure.length) {
+    session.didYouMean = fixed.guess;
+    return reply(didYouMean(unsure));
+  }
 
-      let nextBest = null;
+  // Resolve "her" / "that class" / "and for UCLA?" against this session
+  const query = resolveFollowUp(fixed.text, kb, session);
+
+  // 1) Pull top KB snippets
+  const hits = await searchLocalKB(query, kb, session) || [];
+
+  // 🔎 Intent detection + filtering: a message can carry several
+  // ("best prof for MATH 1A and when's the drop deadline?"); each gets retrieval and snippets
+  const intents = detectIntents(query, kb, session);
+  const has = name => intents.some(i => i.intent === name);
+  console.log("🧭 intent scores:", intents.map(i => `${i.intent} (${i.confidence}: ${i.cues.join(", ") || "no cues"})`).join(" | "));
+  // the deterministic major answers only when the whole message is about majors
+  const majorOnly = intents.every(i => MAJOR_INTENTS.has(i.intent));
+  const majorAnswer = majorOnly && intents.find(i => i.intent !== "major_requirements")?.intent;
+  if (has("major_requirements")) {
+    session.lastMajorQuery = query;
+    session.lastCampus = extractCampusHint(query, db) || session.lastCampus;
+  }
+  // courses named in the message plus the ones saved in the profile
+  const completedCourses = () => [...new Set([...extractCourseList(query, { depts: knownDepts(kb), aliases: aliasesFor(db).deptAliases }), ...profile.completed])];
+
+  // --- What's left for the major (deterministic, straight from the KB) ---
+  if (majorAnswer === "major_progress") {
+    const campus = extractCampusHint(query, db) || session.lastCampus;
+    const completed = completedCourses();
+    const results = majorProgress(kb, completed, campus ? [campus] : profile.campuses);
+    if (results.length) {
+      session.lastMajorQuery = query;
+      session.lastCampus = campus || null;
+      const head = completed.length
+        ? `Counting ${completed.join(", ")} as done, here's what's left of the lower-division prep:`
+        : `I didn't catch any completed courses, so here's the full lower-division list (tell me what you've taken, e.g. "I've taken MATH 1A and CIS 22A"):`;
+      return reply(
+        [head, ...results.map((r, i) => formatProgress(r.progress, i + 1))].join("\n\n") +
+        `\n\nConfirm articulation on ASSIST.org before planning around this.`,
+        results.map(r => ({ type: "major", data: r.major }))
+      );
+    }
+  }
+
+  // --- Quarter-by-quarter plan for one campus ---
+  if (majorAnswer === "major_plan") {
+    const campus = extractCampusHint(query, db) || session.lastCampus || profile.campuses[0];
+    const [major] = campus ? majorsFor(db, [campus]) : [];
+    if (!major) {
+      const known = (db.majors || []).map(m => campusShort(m.campus)).join(", ");
+      return reply(`Which campus should I plan for? I have lower-division requirements for ${known || "no campuses yet"}.`);
+    }
+    session.lastMajorQuery = query;
+    session.lastCampus = campus;
+    const completed = completedCourses();
+    const options = planOptionsFrom(query, profile);
+    const plan = buildPlan(major, { courses: db.courses, completed, aliases: aliasesFor(db).deptAliases, ...options });
+    const params = new URLSearchParams({ school: kb.id, campus, completed: completed.join(","), units: options.unitCap, start: plan.terms[0]?.term || termName(options.startTerm) });
+    if (options.includeSummer) params.set("summer", "1");
+    return reply(
+      `${planToMarkdown(plan).replace(/^# .*/, `🗺️ Plan for ${major.campus} — ${major.program} [1]`)}\n` +
+      `Export: /majors/plan?${params}&format=md (or format=json). Confirm articulation on ASSIST.org and check prerequisites with a counselor.`,
+      [{ type: "major", data: major }]
+    );
+  }
+
+  // --- Cross-campus overlap (deterministic table) ---
+  if (majorAnswer === "major_overlap") {
+    const asked = extractCampusHints(query, db);
+    const majors = majorsFor(db, asked.length >= 2 || ALL_UCS_RE.test(query) ? asked : profile.campuses);
+    if (majors.length >= 2) {
+      const plan = planOverlap(majors, { aliases: aliasesFor(db).deptAliases });
+      const sources = majors.map(m => ({ type: "major", data: m }));
+      return reply(
+        `Lower-division overlap for ${majors.map((m, i) => `${campusShort(m.campus)} [${i + 1}]`).join(", ")}:\n\n` +
+        formatOverlap(plan) +
+        `\n\nOR-requirements are counted for every campus that accepts the course. Confirm articulation on ASSIST.org.`,
+        sources
+      );
+    }
+  }
 
-      if (SESSION.lastProfessor) {
-        const idx = list.findIndex(r => (r.name || "").toLowerCase() === SESSION.lastProfessor.toLowerCase());
-        if (idx >= 0) nextBest = list[idx + 1] || null;
+  // searchLocalKB stops at its first confident match, so the other intents get their own lookup
+  const extra = await intentHits(intents, hits, query, kb, session);
+  if (extra.length) console.log("➕ hits for the other intents:", extra.map(h => h.type).join(", "));
+  const allHits = [...hits, ...extra];
+
+  // hit types any detected intent can use
+  const allowed = new Set(intents.flatMap(i => [...(ALLOW_BY_INTENT[i.intent] || ALLOW_BY_INTENT.generic)]));
+  let filteredHits = allHits.filter(h => allowed.has(h.type));
+
+
+  // allow FAQ only if we found no prof/ranking for prof_ranking intent
+  if (has("prof_ranking") && !filteredHits.some(h => h.type === "professor" || h.type === "ranking")) {
+    filteredHits = allHits.filter(h => allowed.has(h.type) || h.type === "faq");
+  }
+
+  // --- NEXT-BEST HANDOFF (deterministic short-circuit) ---
+  // only when that's all the message asks ("who should I take instead?" can also read as prof_ranking)
+  const classFullOnly = intents.every(i => i.intent === "class_full" || i.intent === "prof_ranking");
+  if (has("class_full") && classFullOnly && session.lastCourse) {
+    const course = session.lastCourse;
+
+    // ranked list for the course
+    const list = rankingsFor(db, course);
+
+    if (list.length > 0) {
+      // 1) Where are we now?
+      const current = Number.isInteger(session.rankCursor[course])
+        ? session.rankCursor[course]
+        : 0;
+
+      // 2) Move to the next one (after the last suggested name, if any)
+      let nextIndex = current + 1;
+
+      if (session.lastProfessor) {
+        const idx = list.findIndex(
+          r => (r.name || "").toLowerCase() === session.lastProfessor.toLowerCase()
+        );
+        if (idx >= 0) nextIndex = idx + 1;
       }
 
-      // Fallbacks: explicit tag, rank 2, or the #2 slot
+      // 3) Pick the next best
+      const nextBest = list[nextIndex];
+
+      // 4) If no next professor, we’re out of names — exit gracefully
       if (!nextBest) {
-        nextBest = list.find(r => (r.tags || []).includes("second_best"))
-                  || list.find(r => r.rank === 2)
-                  || list[1]
-                  || null;
+        const addDeadline = (db.deadlines || []).find(d => /add/i.test(d.category));
+        const addDrop = addDeadline?.date || "the add deadline";
+        return reply(
+          `I’ve listed everyone I have for ${course}. At this point: ` +
+          `join the waitlist (if offered), email the instructor for an add code, ` +
+          `and check ${addDrop}${addDeadline ? " [1]" : ""}.`,
+          addDeadline ? [{ type: "deadline", data: addDeadline }] : []
+        );
       }
 
-      if (nextBest) {
-        const alreadyHas = filteredHits.some(h =>
-          h.type === "ranking" &&
-          h.data?.prof?.name?.toLowerCase() === (nextBest.name || "").toLowerCase()
-        );
+      // 5) We have a next professor — look up full details
+      const prof = (db.professors || []).find(
+        p => p.name.toLowerCase() === (nextBest.name || "").toLowerCase()
+      );
 
-        if (!alreadyHas) {
-          const prof = (SCHOOL_DB.professors || []).find(
-            p => p.name.toLowerCase() === (nextBest.name || "").toLowerCase()
-          );
-          const merged = {
+      // 6) Advance the cursor & remember this suggestion
+      session.rankCursor[course] = nextIndex;
+      session.lastProfessor = nextBest.name;
+
+      // 7) Build a deterministic reply (no model guesswork)
+      const ratingStr =
+        (prof?.rating != null)
+          ? ` (rating ${prof.rating}${prof.num_ratings ? `, ${prof.num_ratings} ratings` : ""})`
+          : "";
+      const rmpStr = prof?.rmp_url ? `\n• RMP: ${prof.rmp_url}` : "";
+      const notes = nextBest.notes || prof?.reviews || "";
+
+      const source = {
+        type: "ranking",
+        data: {
+          course,
+          tags: nextBest.tags || [],
+          rank: nextBest.rank ?? null,
+          prof: {
             name: nextBest.name,
             department: prof?.department || "(dept)",
             rating: prof?.rating ?? null,
             num_ratings: prof?.num_ratings ?? null,
             rmp_url: prof?.rmp_url || "",
-            courses: prof?.courses || [SESSION.lastCourse],
-            review_or_notes: nextBest.notes || prof?.reviews || ""
-          };
-
-          // put NEXT BEST first so the model uses it
-          filteredHits.unshift({
-            type: "ranking",
-            score: 96,
-            data: {
-              course: SESSION.lastCourse,
-              tags: nextBest.tags || ["second_best"],
-              rank: nextBest.rank || 2,
-              prof: merged
-            }
-          });
-
-          // update memory: we just suggested this one now
-          SESSION.lastProfessor = nextBest.name;
+            courses: prof?.courses || [course],
+            review_or_notes: notes
+          }
         }
-      }
+      };
+
+      return reply(
+        `Next best for ${course} is **${nextBest.name}** [1] — ${prof?.department || "(dept)"}${ratingStr}.` +
+        (notes ? `\n• Notes: ${notes}` : "") +
+        rmpStr +
+        `\n\nIf the class is full: join the waitlist (if offered), email the instructor for an add code, and check the add/drop deadline.`,
+        [source]
+      );
     }
+  }
 
-    // Build context snippets (NO fallback—if nothing passes filter, send none)
-    const maxSnippets = 5;
-    const usedHits = filteredHits.slice(0, maxSnippets);
-    const contextSnippets = usedHits
-      .map((h, i) => {
-        const txt = formatHit(h);
-        return `Snippet ${i + 1} [${h.type}]:\n${txt.length > 600 ? txt.slice(0, 600) + "..." : txt}`;
-      })
-      .join("\n\n");
-
-    // Optional debug:
-    console.log("🎯 intent:", intent, " | hits:", hits.length, " | filtered:", usedHits.length);
-
-    const hasProfSnippet = usedHits.some(h => h.type === "ranking" || h.type === "professor");
-    const antiMakeup = (!hasProfSnippet && intent === "prof_ranking")
-      ? 'Important: Do NOT invent professor names. Only recommend names present in the context snippets. If none are present, say we don’t have that info and ask for the exact course code (e.g., "MATH 1A").'
-      : '';
-
-   
-
-    // 2) Ask OpenAI, grounding with snippets
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        temperature: 0.5,
-        max_tokens: 400,
-        messages: [
-          {
-            role: "system",
-            content: `You are a concise, accurate campus assistant.
-        
-        Rules:
-        1)Never recommend a professor by name unless that name appears in the provided context snippets.
-        2) If intent is "class_full" and a previous turn selected a professor for a course, first suggest the next best ranked professor by name (if available), then mention deadlines/waitlist steps.
-        3) Do NOT paste the context snippets verbatim or list them back.
-        4) First, answer the user's question in 1–3 sentences.
-        5) Then, if helpful, add at most 2 short supporting bullets from the snippets.
-        6) Ignore any snippet that is not clearly relevant.
-        7) If the snippets don't contain the answer, say so briefly and give practical next steps (e.g., waitlist options, email instructor, check add/drop date, tutoring center link).`
-            
-          },
-          ...(antiMakeup ? [{ role: "system", content: antiMakeup }] : []),
-          { role: "system", content: `If intent is "class_full", recommend the next-best ranked professor for the last discussed course first (by name), then mention practical steps (waitlist, email instructor, add/drop date).` },
-          { role: "system", content: `Detected intent: ${intent}` }, // <— add this
-          ...(contextSnippets ? [{ role: "system", content: `Context:\n${contextSnippets}` }] : []),
-          { role: "user", content: userMessage }
-        ]
-      })
-    });
+  // Always add a second-best rec for the last course when class is full.
+  // Put it FIRST so the model uses it.
+  // If the class is full, FIRST suggest the next-best professor after the one we last suggested,
+  // then let deadlines/FAQ follow.
+  if (has("class_full") && session.lastCourse) {
+    const list = rankingsFor(db, session.lastCourse);
+
+    let nextBest = null;
 
-    const data = await response.json();
-    console.log("✅ API response (usage or error):", JSON.stringify(data.usage || data.error || { ok: true }, null, 2));
+    if (session.lastProfessor) {
+      const idx = list.findIndex(r => (r.name || "").toLowerCase() === session.lastProfessor.toLowerCase());
+      if (idx >= 0) nextBest = list[idx + 1] || null;
+    }
 
-    if (data.error) {
-      console.error("❌ OpenAI API error:", data.error);
-      return res.json({ reply: "Oops! API error: " + data.error.message });
+    // Fallbacks: explicit tag, rank 2, or the #2 slot
+    if (!nextBest) {
+      nextBest = list.find(r => (r.tags || []).includes("second_best"))
+                || list.find(r => r.rank === 2)
+                || list[1]
+                || null;
     }
 
-    // 3) Always return the AI answer
-    res.json({ reply: data.choices[0].message.content });
+    if (nextBest) {
+      const alreadyHas = filteredHits.some(h =>
+        h.type === "ranking" &&
+        h.data?.prof?.name?.toLowerCase() === (nextBest.name || "").toLowerCase()
+      );
 
+      if (!alreadyHas) {
+        const prof = (db.professors || []).find(
+          p => p.name.toLowerCase() === (nextBest.name || "").toLowerCase()
+        );
+        const merged = {
+          name: nextBest.name,
+          department: prof?.department || "(dept)",
+          rating: prof?.rating ?? null,
+          num_ratings: prof?.num_ratings ?? null,
+          rmp_url: prof?.rmp_url || "",
+          courses: prof?.courses || [session.lastCourse],
+          review_or_notes: nextBest.notes || prof?.reviews || ""
+        };
+
+        // put NEXT BEST first so the model uses it
+        filteredHits.unshift({
+          type: "ranking",
+          score: 96,
+          data: {
+            course: session.lastCourse,
+            tags: nextBest.tags || ["second_best"],
+            rank: nextBest.rank || 2,
+            prof: merged
+          }
+        });
+
+        // update memory: we just suggested this one now
+        session.lastProfessor = nextBest.name;
+      }
+    }
+  }
+
+  // Majors: mark what the student has already taken (from the profile)
+  if (has("major_requirements") && profile.completed.length) {
+    filteredHits = filteredHits.map(h => h.type === "major"
+      ? { ...h, progress: evaluateProgress(h.data, profile.completed, {
+        rankingsFor: code => rankingsFor(db, code),
+        aliases: aliasesFor(db).deptAliases
+      }) }
+      : h);
+  }
+
+  // Comparison: one table (snippet 1 + its card) grounds the recommendation
+  let compareNote = "";
+  if (has("prof_compare")) {
+    const mentions = professorMentions(query, db.professors, { everydayNames: aliasesFor(db).everydayNames });
+    const asked = extractCourseCodes(query).map(canonCourse).find(c => kb.validCodes.has(c));
+    const teachesAll = code => code && mentions.every(m => m.candidates.some(p => (p.courses || []).includes(code)));
+    const course = asked || (teachesAll(session.lastCourse) ? session.lastCourse : null);
+    const profs = mentions.map(m => m.candidates.find(p => course && (p.courses || []).includes(course)) || m.candidates[0]);
+    const cmp = compareProfessors(profs, { course, rankingsFor: code => rankingsFor(db, code), allProfessors: db.professors });
+    const courseItem = course && (db.courses || []).find(c => canonCourse(c.code) === course);
+    // the table replaces the single-professor cards; other intents' hits stay
+    filteredHits = [
+      { type: "comparison", data: cmp },
+      ...(courseItem ? [{ type: "course", data: courseItem }] : []),
+      ...filteredHits.filter(h => !["comparison", "course", "professor"].includes(h.type))
+    ];
+    if (course) session.lastCourse = course;
+    compareNote = `The student is choosing between ${profs.map(p => p.name).join(" and ")}${course ? ` for ${course}` : ""}. ` +
+      `Recommend one using Snippet 1 (the comparison table): weigh the adjusted rating (it discounts small samples) and the course rank, ` +
+      `name the main trade-off, and don't bring in professors who aren't in the table.`;
+  }
+
+  // Deadlines: swap keyword matches for date-aware ones from the active (or asked-for) term
+  let deadlineNote = "";
+  if (has("deadline")) {
+    const { term, asked, hits: dHits } = deadlineHitsFor(query, db, today(), profile.term);
+    filteredHits = [...dHits, ...filteredHits.filter(h => h.type !== "deadline")];
+    const { current } = currentTerms(today());
+    deadlineNote = dHits.length
+      ? `Deadlines shown are for ${termName(term)}${asked === "query" ? " (the term the student asked about)" : asked === "profile" ? " (the student's current term, from their profile)" : ""}. Use each snippet's Status for "how many days" questions; if a deadline has passed, say so plainly.`
+      : `We have no ${termName(term || current)} deadlines on file. Say so and point the student to the official academic calendar.`;
+  }
+
+  // Build context snippets (NO fallback—if nothing passes filter, send none)
+  const maxSnippets = 5;
+  const usedHits = pickSnippets(filteredHits, intents, maxSnippets);
+  const contextSnippets = usedHits
+    .map((h, i) => {
+      const txt = formatHit(h);
+      const limit = h.type === "comparison" ? 2000 : 600; // the table is only useful whole
+      return `Snippet ${i + 1} [${h.type}]:\n${txt.length > limit ? txt.slice(0, limit) + "..." : txt}`;
+    })
+    .join("\n\n");
+
+  // Optional debug:
+  console.log("🎯 intents:", intents.map(i => i.intent).join(", "), " | hits:", allHits.length, " | filtered:", usedHits.length);
+
+  const hasProfSnippet = usedHits.some(h => h.type === "ranking" || h.type === "professor");
+  const antiMakeup = (!hasProfSnippet && has("prof_ranking"))
+    ? 'Important: Do NOT invent professor names. Only recommend names present in the context snippets. If none are present, say we don’t have that info and ask for the exact course code (e.g., "MATH 1A").'
+    : '';
+
+ 
+
+  // 2) Ask the model, grounding with snippets
+  const chatArgs = {
+    signal,
+    temperature: 0.5,
+    max_tokens: 400,
+    snippets: usedHits.map(formatHit),
+    messages: [
+      {
+        role: "system",
+        content: `You are a concise, accurate campus assistant for ${db.school?.name || "the student's college"}${db.school?.website ? ` (${db.school.website})` : ""}.
+      
+      Rules:
+      1)Never recommend a professor by name unless that name appears in the provided context snippets.
+      2) If intent is "class_full" and a previous turn selected a professor for a course, first suggest the next best ranked professor by name (if available), then mention deadlines/waitlist steps.
+      3) Do NOT paste the context snippets verbatim or list them back.
+      4) First, answer the user's question in 1–3 sentences.
+      5) Then, if helpful, add at most 2 short supporting bullets from the snippets.
+      6) Ignore any snippet that is not clearly relevant.
+      7) If the snippets don't contain the answer, say so briefly and give practical next steps (e.g., waitlist options, email instructor, check add/drop date, tutoring center link).
+      8) When a sentence relies on a snippet, cite it inline with its number in square brackets, e.g. [1] or [2]. Never cite a number that isn't a snippet.`
+        
+      },
+      ...(antiMakeup ? [{ role: "system", content: antiMakeup }] : []),
+      { role: "system", content: `If intent is "class_full", recommend the next-best ranked professor for the last discussed course first (by name), then mention practical steps (waitlist, email instructor, add/drop date).` },
+      { role: "system", content: `Detected intents: ${intents.map(i => `${i.intent} (${i.confidence})`).join(", ")}. Answer every part of the message.` },
+      { role: "system", content: `Today is ${today().toDateString()} (current term: ${termName(currentTerms(today()).current)}).` },
+      ...(describeProfile(profile) ? [{ role: "system", content: `${describeProfile(profile)} Use it by default (e.g. skip courses already taken) unless the message says otherwise.` }] : []),
+      ...(deadlineNote ? [{ role: "system", content: deadlineNote }] : []),
+      ...(compareNote ? [{ role: "system", content: compareNote }] : []),
+      ...(contextSnippets ? [{ role: "system", content: `Context:\n${contextSnippets}` }] : []),
+      ...(query !== userMessage ? [{ role: "system", content: `The latest message is a follow-up. Read it as: "${query}"` }] : []),
+      ...(session.history || []).slice(-MAX_HISTORY_MESSAGES),
+      { role: "user", content: userMessage }
+    ]
+  };
+  const gate = GUARDRAIL && onDelta
+    ? createSentenceGate(text => !replyCheckerFor(kb).check(text, { snippets: chatArgs.snippets, hits: usedHits, userMessage, today: today() }).length, onDelta)
+    : null;
+  let completion;
+  try {
+    completion = await LLM.chat({ ...chatArgs, onDelta: gate ? delta => gate.push(delta) : onDelta });
+    gate?.end();
+  } catch (e) {
+    if (signal?.aborted) return { reply: "", aborted: true };
+    console.error(`❌ ${LLM.name} API error:`, e.message);
+    return { reply: "Oops! API error: " + e.message };
+  }
+  console.log("✅ API response (usage):", JSON.stringify(completion.usage || { ok: true }, null, 2));
+
+  // 3) Check names, ratings and dates before answering
+  const text = GUARDRAIL ? await guardReply(completion.content, { kb, chatArgs, usedHits, userMessage }) : completion.content;
+  if (signal?.aborted) return { reply: "", aborted: true };
+  return { ...reply(text, usedHits), replaced: text !== completion.content };
+}
+
+app.post("/chat", attachSession, attachSchool, async (req, res) => {
+  try {
+    const { reply, sources } = await answerChat({ userMessage: req.body.message, session: req.session, kb: req.kb });
+    res.json({ reply, sources: sources || [] });
   } catch (err) {
     console.error("❌ Server error:", err);
     res.status(500).json({ reply: "Something went wrong on the server." });
   }
 });
 
+// ---- Streaming chat over Server-Sent Events ----
+// Same body as /chat; responds with text/event-stream:
+//   event: delta    data: {"text": "..."}   model output as it arrives (checked sentences with the guardrail on)
+//   event: reply    data: {"reply": "..."}  a complete reply sent in one go (deterministic answers)
+//   event: replace  data: {"reply": "..."}  the guardrail's corrected reply; drop what the deltas showed
+//   event: done   data: {"reply": "...", "sources": [...]}  final full text + source cards, always last on success
+//   event: error  data: {"reply": "..."}
+app.post("/chat/stream", attachSession, attachSchool, async (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // don't let proxies buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const abort = new AbortController();
+  res.on("close", () => { if (!res.writableEnded) abort.abort(); }); // client cancelled
+
+  let streamed = false;
+  try {
+    const result = await answerChat({
+      userMessage: req.body.message,
+      session: req.session,
+      kb: req.kb,
+      signal: abort.signal,
+      onDelta: text => { streamed = true; send("delta", { text }); }
+    });
+    if (result.aborted || abort.signal.aborted) return res.end();
+    if (!streamed) send("reply", { reply: result.reply });
+    else if (result.replaced) send("replace", { reply: result.reply });
+    send("done", { reply: result.reply, sources: result.sources || [] });
+  } catch (err) {
+    console.error("❌ Server error:", err);
+    send("error", { reply: "Something went wrong on the server." });
+  }
+  res.end();
+});
+
+// ---- Upcoming deadlines: GET /deadlines/upcoming?days=30[&school=id] ----
+app.get("/deadlines/upcoming", reuseSession, useSchool, (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+  const now = today();
+  const { current, next } = currentTerms(now);
+  const items = upcomingDeadlines(req.kb.db.deadlines, { days, now }).map(a => ({
+    ...a.deadline,
+    iso_date: a.date.toISOString(),
+    days_left: a.days_left,
+    status: a.status
+  }));
+  res.json({ today: now.toISOString(), current_term: termName(current), next_term: termName(next), days, deadlines: items });
+});
+
+// ---- Major progress: POST /majors/progress { completed: ["MATH 1A", ...], campuses?: ["UCSD", ...] } ----
+// Per matching major: met and open lower-division items, top-ranked professors
+// for the open ones, and any requirement text that couldn't be mapped to courses.
+app.post("/majors/progress", reuseSession, useSchool, (req, res) => {
+  const { completed, campuses = [] } = req.body || {};
+  if (!Array.isArray(completed) || !Array.isArray(campuses)) {
+    return res.status(400).json({ error: "Expected { completed: [course codes], campuses?: [campus names] }" });
+  }
+  const results = majorProgress(req.kb, completed, campuses);
+  res.json({ school: req.kb.id, completed, results: results.map(r => r.progress) });
+});
+
+// ---- Professor rankings: GET /rankings/:course[?auto=1] ----
+// The curated list when there is one, else the automatic ranking with an
+// explanation per professor; auto=1 forces the automatic one (to compare).
+app.get("/rankings/:course", reuseSession, useSchool, (req, res) => {
+  const code = canonCode(req.params.course);
+  const { db } = req.kb;
+  const forceAuto = req.query.auto === "1" || req.query.auto === "true";
+  const rankings = rankingsFor(db, code, { auto: forceAuto });
+  if (!rankings.length) return res.status(404).json({ error: `No professors on file for ${code}` });
+  res.json({ school: req.kb.id, course: code, source: rankings[0].auto ? "auto" : "curated", rankings });
+});
+
+// ---- Typo check: GET /resolve?q=Ahrnes+for+mth+1a ----
+// What the chat would make of a message: the corrected text plus every fuzzy
+// match with its confidence and whether the bot would ask first.
+app.get("/resolve", reuseSession, useSchool, (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "Missing ?q=" });
+  const { text, matches } = resolverFor(req.kb).resolve(q);
+  res.json({ school: req.kb.id, query: q, corrected: text, matches });
+});
+
+// ---- Retrieval check: GET /search?q=calc+2+tutoring[&type=faq,course][&limit=5] ----
+// The hybrid retriever's ranked list for a query, with each hit's score broken
+// down (BM25 and cosine rank, RRF, boost) for tuning.
+app.get("/search", reuseSession, useSchool, async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "Missing ?q=" });
+  const types = req.query.type ? new Set(String(req.query.type).split(",").map(t => t.trim()).filter(Boolean)) : null;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 50);
+  try {
+    const hits = await hybridSearch(q, req.kb, {
+      courseCodes: queryCourseCodes(q, req.kb),
+      deptHint: extractDeptHint(q, req.kb.db),
+      types,
+      limit
+    });
+    res.json({
+      school: req.kb.id,
+      query: q,
+      tokens: retrieverFor(req.kb).tokenize(q),
+      embeddings: req.kb.index.length > 0,
+      hits
+    });
+  } catch (err) {
+    console.error("❌ Search error:", err);
+    res.status(500).json({ error: "Search failed on the server." });
+  }
+});
+
+// ---- Cross-campus overlap: POST /majors/overlap { campuses?: ["UCSD", "UCLA", ...] } ----
+// Courses counting at every selected campus vs only some, plus a smallest
+// course set covering all of them. No campuses -> every major in the KB.
+app.post("/majors/overlap", reuseSession, useSchool, (req, res) => {
+  const { campuses = [] } = req.body || {};
+  if (!Array.isArray(campuses)) return res.status(400).json({ error: "Expected { campuses?: [campus names] }" });
+  const majors = majorsFor(req.kb.db, campuses);
+  if (campuses.length && majors.length < campuses.length) {
+    const known = majors.map(m => m.campus.toLowerCase());
+    const missing = campuses.filter(c => !known.includes(extractCampusHint(c, req.kb.db) || String(c).toLowerCase()));
+    return res.status(404).json({ error: `No major on file for: ${missing.join(", ")}` });
+  }
+  res.json({ school: req.kb.id, ...planOverlap(majors, { aliases: aliasesFor(req.kb.db).deptAliases }) });
+});
+
+// ---- Education plan: GET /majors/plan?campus=UCSD[&completed=MATH 1A,CIS 22A&units=15&start=Fall 2025&summer=1&format=md] ----
+// Exportable as JSON (default) or Markdown.
+app.get("/majors/plan", reuseSession, useSchool, (req, res) => {
+  const campus = String(req.query.campus || "");
+  const [major] = campus ? majorsFor(req.kb.db, [campus]) : [];
+  if (!major) return res.status(404).json({ error: campus ? `No major on file for ${campus}` : "campus is required" });
+
+  const units = Number(req.query.units);
+  const plan = buildPlan(major, {
+    courses: req.kb.db.courses,
+    aliases: aliasesFor(req.kb.db).deptAliases,
+    completed: String(req.query.completed || "").split(",").map(s => s.trim()).filter(Boolean),
+    unitCap: units > 0 ? units : DEFAULT_UNIT_CAP,
+    startTerm: parseTerm(String(req.query.start || "")) || currentTerms(today()).next,
+    includeSummer: req.query.summer === "1" || req.query.summer === "true"
+  });
+  const filename = `plan-${campusShort(major.campus).toLowerCase().replace(/\s+/g, "-")}`;
+  if (req.query.format === "md") {
+    res.set("Content-Disposition", `inline; filename="${filename}.md"`);
+    return res.type("text/markdown; charset=utf-8").send(planToMarkdown(plan));
+  }
+  res.set("Content-Disposition", `inline; filename="${filename}.json"`);
+  res.json({ school: req.kb.id, ...plan });
+});
+
+// ---- Calendar feed: GET /deadlines.ics[?school=id&term=Fall 2025&category=withdraw&uid=...] ----
+// Subscribable (webcal://) or downloadable; filters are optional.
+app.get("/deadlines.ics", (req, res) => {
+  const schoolId = req.query.school ? String(req.query.school) : SCHOOLS.defaultId;
+  const kb = SCHOOLS.get(schoolId);
+  if (!kb) return res.status(404).type("text/plain").send(`Unknown school "${schoolId}"`);
+  let deadlines = filterDeadlines(kb.db.deadlines, { term: req.query.term, category: req.query.category });
+  if (req.query.uid) deadlines = deadlines.filter(d => deadlineUid(schoolId, d) === req.query.uid); // one event ("Add to calendar")
+  res.set("Content-Disposition", `inline; filename="${schoolId}-deadlines.ics"`);
+  res.type("text/calendar; charset=utf-8").send(deadlinesToICS(deadlines, { schoolId, school: kb.db.school }));
+});
+
+// Forget this client's conversation (frontend "Clear chat"); the profile stays
+app.post("/chat/reset", reuseSession, (req, res) => {
+  Object.assign(req.session, newSessionState(), { profile: req.session.profile || emptyProfile() });
+  res.json({ ok: true });
+});
+
+// ---- Student profile: GET/PUT/DELETE /profile (per session, frontend settings panel) ----
+// PUT takes any subset of { completed, campuses, rank_tags, term }; lists may be
+// arrays or comma-separated strings. Campuses are resolved against this school's majors.
+function profileResponse(req) {
+  return {
+    ok: true,
+    profile: req.session.profile || emptyProfile(),
+    options: { campuses: (req.kb.db.majors || []).map(m => m.campus), rank_tags: RANK_TAGS }
+  };
+}
+
+app.get("/profile", reuseSession, useSchool, (req, res) => {
+  res.json(profileResponse(req));
+});
+
+app.put("/profile", attachSession, attachSchool, (req, res) => {
+  const { school, ...patch } = req.body || {};
+  const { profile, error } = updateProfile(req.session.profile, patch, {
+    resolveCampus: c => majorsFor(req.kb.db, [c])[0]?.campus || null
+  });
+  if (error) return res.status(400).json({ ok: false, error });
+  req.session.profile = profile;
+  res.json(profileResponse(req));
+});
+
+app.delete("/profile", reuseSession, attachSchool, (req, res) => {
+  req.session.profile = emptyProfile();
+  res.json(profileResponse(req));
+});
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`✅ Server running on http://localhost:${PORT}`));
 
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileAliases } from "../lib/aliases.js";
+
+const db = {
+  aliases: {
+    courses: { "MATH 1A": ["calculus i", "calc 1"] },
+    departments: { MATH: { name: "Mathematics", aliases: ["math", "mth"] }, CIS: { name: "Computer Science", aliases: ["cis", "cs"] } },
+    campuses: { "UC San Diego": ["ucsd", "san diego"], UCLA: ["los angeles"] }
+  },
+  majors: [
+    { campus: "UC San Diego", program: "Data Science B.S.", aliases: ["ds"] },
+    { campus: "UCLA", program: "Statistics and Data Science B.S." }
+  ]
+};
+const aliases = compileAliases(db);
+
+test("course, department and campus phrases", () => {
+  assert.equal(aliases.courseAlias("who's best for Calc 1?"), "MATH 1A");
+  assert.equal(aliases.deptHint("any cs tutors?"), "computer science");
+  assert.equal(aliases.deptAliases.mth, "MATH");
+  assert.equal(aliases.campusHint("transfer to San Diego"), "uc san diego");
+  assert.deepEqual(aliases.campusHints("UCLA or ucsd?"), ["ucla", "uc san diego"]);
+});
+
+test("stripCampus removes every mention, not just the first", () => {
+  assert.equal(aliases.stripCampus("plan for ucsd, I mean san diego"), "plan for , i mean");
+  assert.equal(aliases.stripCampus("UC San Diego or ucsd or UCLA"), "or or");
+});
+
+test("majorsMentioned finds programs by name or alias", () => {
+  assert.deepEqual(aliases.majorsMentioned("data science requirements").map(m => m.campus), ["UC San Diego"]);
+  assert.deepEqual(aliases.majorsMentioned("statistics and data science").map(m => m.campus), ["UCLA", "UC San Diego"]);
+});
+
+test("the vocabulary covers every alias word", () => {
+  for (const w of ["calculus", "mth", "ucsd", "diego", "ds"]) assert.ok(aliases.vocabulary.includes(w), w);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { autoRank, adjustedRating, extractSignals, priorMean, PRIOR_WEIGHT } from "../lib/autoRank.js";
+
+const PROFS = [
+  { name: "Few Ratings", rating: 4.8, num_ratings: 5, courses: ["MATH 1A"], difficulty: 2.0 },
+  { name: "Many Ratings", rating: 4.1, num_ratings: 300, courses: ["MATH 1A"], notes: "79% would take again, difficulty ~3.0" },
+  { name: "Mid Ratings", rating: 3.9, num_ratings: 40, courses: ["MATH 1A"], reviews: "(62% WTA, diff ~2.5)" },
+  { name: "Unrated", courses: ["MATH 1A"] },
+  { name: "Other Course", rating: 3.5, num_ratings: 100, courses: ["CIS 22A"] }
+];
+
+test("adjustedRating pulls small samples toward the prior", () => {
+  assert.deepEqual(adjustedRating({ rating: 5, num_ratings: PRIOR_WEIGHT }, 3), { n: PRIOR_WEIGHT, adjusted: 4 });
+  assert.deepEqual(adjustedRating({ rating: 5 }, 3), { n: 0, adjusted: null });
+  assert.equal(priorMean([{ rating: 4, num_ratings: 1 }, { rating: 2, num_ratings: 3 }, { rating: 5 }]), 2.5);
+  assert.equal(priorMean([]), 3.5);
+});
+
+test("extractSignals prefers fields and falls back to notes and reviews", () => {
+  assert.deepEqual(extractSignals(PROFS[1]), { difficulty: { value: 3, from: "text" }, would_take_again: { value: 79, from: "text" } });
+  assert.deepEqual(extractSignals(PROFS[2]), { difficulty: { value: 2.5, from: "text" }, would_take_again: { value: 62, from: "text" } });
+  assert.equal(extractSignals(PROFS[0]).difficulty.from, "field");
+  assert.equal(extractSignals({ notes: "difficulty 7" }).difficulty, null);
+});
+
+test("autoRank orders by adjusted score and tags the result", () => {
+  const ranked = autoRank(PROFS, "MATH 1A");
+  assert.deepEqual(ranked.map(r => r.name), ["Many Ratings", "Few Ratings", "Mid Ratings", "Unrated"]);
+  assert.deepEqual(ranked.map(r => r.tags), [["best_overall"], ["second_best", "small_sample"], ["easiest"], ["small_sample"]]);
+  assert.ok(ranked.every(r => r.auto));
+  assert.equal(ranked[3].score, null);
+  assert.match(ranked[0].explanation, /^#1: 4\.1\/5 from 300 ratings, adjusted to .*79% would take again \(\+/);
+});
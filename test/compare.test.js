@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareProfessors, comparisonTable } from "../lib/compare.js";
+import { autoRank } from "../lib/autoRank.js";
+
+const PROFS = [
+  { name: "Amanda Lien", rating: 4.7, num_ratings: 120, courses: ["MATH 1A"], reviews: "Clear lectures. 90% would take again, difficulty 3.1." },
+  { name: "Nahrin Rashid", rating: 4.9, num_ratings: 6, courses: ["MATH 1A", "MATH 1B"], difficulty: 2.5 },
+  { name: "Greg Ahrens", rating: null, num_ratings: 0, courses: ["MATH 1B"] }
+];
+const rankingsFor = code => autoRank(PROFS, code);
+
+test("compareProfessors reports the same adjusted rating and rank as the automatic ranking", () => {
+  const cmp = compareProfessors(PROFS.slice(0, 2), { course: "MATH 1A", rankingsFor, allProfessors: PROFS });
+  const ranked = rankingsFor("MATH 1A");
+  for (const p of cmp.professors) {
+    const r = ranked.find(x => x.name === p.name);
+    assert.equal(p.adjusted_rating, r.signals.adjusted_rating, p.name);
+    assert.equal(p.course_rank, r.rank, p.name);
+    assert.equal(p.ranking_source, "auto");
+  }
+  assert.equal(cmp.professors[0].would_take_again, 90);
+  assert.equal(cmp.professors[1].difficulty, 2.5);
+});
+
+test("unrated professors and courses they don't teach", () => {
+  const cmp = compareProfessors([PROFS[0], PROFS[2]], { course: "MATH 1A", rankingsFor, allProfessors: PROFS });
+  assert.equal(cmp.professors[1].adjusted_rating, null);
+  assert.deepEqual(cmp.columns, ["", "Amanda Lien", "Greg Ahrens"]);
+  assert.deepEqual(cmp.rows.find(r => r[0] === "Rank for MATH 1A"), ["Rank for MATH 1A", "#1 of 2 (auto)", "doesn't teach it"]);
+});
+
+test("comparisonTable renders a markdown table", () => {
+  const lines = comparisonTable(compareProfessors(PROFS.slice(0, 2), { rankingsFor, allProfessors: PROFS })).split("\n");
+  assert.match(lines[0], /Amanda Lien.*Nahrin Rashid/);
+  assert.match(lines[1], /---/);
+  assert.ok(lines.some(l => l.startsWith("| Rating")));
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCalendarDate, annotateDeadlines, activeDeadlines, termFromQuery, termName } from "../lib/deadlines.js";
+import { validateKB } from "../lib/kbSchema.js";
+
+const VALID = ["October 5, 2025", "Oct 5, 2025", "Oct. 5 2025", "2025-10-05", "February 29, 2028"];
+// Date.parse accepts several of these and would count days to a guessed day
+const INVALID = ["October 5", "Fall 2025", "Week 6", "TBA", "2025-10-5", "February 30, 2026", "10/5/2025", "Octember 5, 2025", ""];
+
+test("parseCalendarDate accepts real days with a year", () => {
+  for (const s of VALID) assert.ok(parseCalendarDate(s), s);
+  const d = parseCalendarDate("Oct 5, 2025");
+  assert.deepEqual([d.getFullYear(), d.getMonth(), d.getDate(), d.getHours()], [2025, 9, 5, 0]);
+});
+
+test("parseCalendarDate rejects vague or impossible dates", () => {
+  for (const s of INVALID) assert.equal(parseCalendarDate(s), null, s);
+});
+
+test("the KB schema applies the same date rule", () => {
+  const dateErrors = date => validateKB({ school: { name: "x" }, deadlines: [{ term: "Fall 2025", category: "x", description: "x", date }] })
+    .filter(i => i.level === "error" && i.path === "$.deadlines[0].date");
+  for (const s of VALID) assert.equal(dateErrors(s).length, 0, s);
+  for (const s of INVALID.filter(Boolean)) assert.equal(dateErrors(s).length, 1, s);
+});
+
+const DEADLINES = [
+  { term: "Fall 2025", category: "drop", description: "Last day to drop without a W", date: "October 5, 2025" },
+  { term: "Fall 2025", category: "withdraw", description: "Last day to withdraw with a W", date: "November 14, 2025", time: "11:59 PM" },
+  { term: "Winter 2026", category: "registration", description: "Registration opens", date: "November 17, 2025" }
+];
+const at = iso => new Date(`${iso}T12:00:00`);
+
+test("annotateDeadlines counts whole days and marks passed ones", () => {
+  const [drop, withdraw] = annotateDeadlines(DEADLINES, at("2025-10-05"));
+  assert.equal(drop.days_left, 0);
+  assert.equal(drop.status, "today");
+  assert.equal(withdraw.days_left, 40);
+  const [late] = annotateDeadlines(DEADLINES, at("2025-10-08"));
+  assert.ok(late.passed);
+  assert.equal(late.status, "passed 3 days ago");
+});
+
+test("activeDeadlines scopes to the current term, else the next one", () => {
+  const fall = activeDeadlines(annotateDeadlines(DEADLINES, at("2025-10-01")), at("2025-10-01"));
+  assert.equal(termName(fall.term), "Fall 2025");
+  assert.equal(fall.items.length, 2);
+  const next = activeDeadlines(annotateDeadlines(DEADLINES, at("2025-08-20")), at("2025-08-20"));
+  assert.equal(termName(next.term), "Fall 2025");
+});
+
+test("activeDeadlines is empty when neither the current nor the next term is on file", () => {
+  const now = at("2026-10-19");
+  const scope = activeDeadlines(annotateDeadlines(DEADLINES, now), now);
+  assert.equal(termName(scope.term), "Fall 2026");
+  assert.deepEqual(scope.items, []);
+});
+
+test("termFromQuery reads explicit, relative and bare-season terms", () => {
+  const now = at("2025-10-01");
+  assert.equal(termName(termFromQuery("deadlines for spring 2026", now)), "Spring 2026");
+  assert.equal(termName(termFromQuery("what about next quarter?", now)), "Winter 2026");
+  assert.equal(termName(termFromQuery("summer add deadline", now)), "Summer 2026");
+  assert.equal(termFromQuery("when is the drop deadline", now), null);
+});
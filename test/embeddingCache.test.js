@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { embedWithCache, loadEmbeddingCache } from "../lib/embeddingCache.js";
+
+const items = n => Array.from({ length: n }, (_, i) => ({ text: `item ${i}` }));
+const fakeEmbed = (calls, failOn = -1) => async texts => {
+  calls.push(texts.length);
+  if (calls.length - 1 === failOn) throw new Error("rate limited");
+  return texts.map(t => [t.length, Number(t.split(" ")[1])]);
+};
+
+function withTmp(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "emb-"));
+    try {
+      await fn(path.join(dir, "cache.json"));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test("reuses cached vectors and drops removed items", withTmp(async file => {
+  const calls = [];
+  await embedWithCache(items(5), { file, model: "m", embedBatch: fakeEmbed(calls), batchSize: 2 });
+  assert.deepEqual(calls, [2, 2, 1]);
+  const again = await embedWithCache(items(3), { file, model: "m", embedBatch: fakeEmbed(calls), batchSize: 2 });
+  assert.equal(again.reused, 3);
+  assert.equal(again.embedded, 0);
+  assert.equal(loadEmbeddingCache(file).size, 3);
+}));
+
+test("a different model re-embeds everything", withTmp(async file => {
+  const calls = [];
+  await embedWithCache(items(2), { file, model: "a", embedBatch: fakeEmbed(calls) });
+  const other = await embedWithCache(items(2), { file, model: "b", embedBatch: fakeEmbed(calls) });
+  assert.equal(other.embedded, 2);
+}));
+
+test("a failed batch keeps the earlier batches and the next run embeds only the rest", withTmp(async file => {
+  const calls = [];
+  const first = await embedWithCache(items(5), { file, model: "m", embedBatch: fakeEmbed(calls, 1), batchSize: 2 });
+  assert.equal(first.error.message, "rate limited");
+  assert.equal(first.embedded, 2);
+  assert.equal(first.failed, 3);
+  assert.deepEqual(first.vectors.map(v => v && v[1]), [0, 1, null, null, null]);
+  assert.equal(loadEmbeddingCache(file).size, 2);
+
+  const retry = [];
+  const second = await embedWithCache(items(5), { file, model: "m", embedBatch: fakeEmbed(retry), batchSize: 2 });
+  assert.deepEqual(retry, [2, 1]);
+  assert.equal(second.reused, 2);
+  assert.ok(second.vectors.every(Boolean));
+}));
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createKBResolver, createResolver, editDistance, soundex, similarity } from "../lib/fuzzy.js";
+import { compileAliases } from "../lib/aliases.js";
+import { canonCode } from "../lib/requirements.js";
+import { mergeDuplicateProfessors } from "../lib/schools.js";
+
+const deanza = () => mergeDuplicateProfessors(JSON.parse(fs.readFileSync(new URL("../data/schools/deanza.json", import.meta.url), "utf-8")));
+const kbResolver = db => {
+  const codes = [...new Set([...(db.courses || []).map(c => canonCode(c.code)), ...Object.keys(db.rankings || {}).map(canonCode)])];
+  return { codes, resolver: createKBResolver(db, { codes, aliases: compileAliases(db) }) };
+};
+
+const resolver = createResolver({
+  professors: [{ name: "Ira Ahrens", courses: ["MATH 1A"] }, { name: "Anh Nguyen", courses: ["CIS 22A"] }, { name: "Bao Nguyen", courses: ["CIS 22C"] }],
+  codes: ["MATH 1A", "MATH 1B", "CIS 22A", "CIS 22C"],
+  titles: { "MATH 1A": "Calculus I" },
+  campuses: ["UC Santa Barbara"]
+});
+
+test("editDistance counts a swapped pair once, soundex groups like sounds", () => {
+  assert.equal(editDistance("ahrens", "ahrnes"), 1);
+  assert.equal(editDistance("", "abc"), 3);
+  assert.equal(soundex("Ahrens"), soundex("Arens"));
+  assert.equal(similarity("math", "calculus"), null);
+});
+
+test("confident typos are fixed, code spacing is normalized", () => {
+  const r = resolver.resolve("is Ira Ahrnes good for cis22 c at uc santa barabara?");
+  assert.equal(r.text, "is Ira Ahrens good for CIS 22C at UC Santa Barbara?");
+  assert.deepEqual(r.matches.map(m => [m.kind, m.match, m.ambiguous]), [
+    ["professor", "Ira Ahrens", false], ["course", "CIS 22C", false], ["campus", "UC Santa Barbara", false]
+  ]);
+});
+
+test("close calls are offered, not applied", () => {
+  const r = resolver.resolve("who teaches MATH 1");
+  assert.equal(r.text, "who teaches MATH 1");
+  assert.deepEqual(r.matches[0].options.map(o => o.match), ["MATH 1A", "MATH 1B"]);
+  assert.equal(r.guess, "who teaches MATH 1A");
+  const last = resolver.resolve("is Ahrnes good?");
+  assert.deepEqual([last.text, last.guess], ["is Ahrnes good?", "is Ira Ahrens good?"]);
+  assert.equal(resolver.resolve("is Nguyen good?").matches.length, 0);
+  assert.equal(resolver.resolve("is Ngyuen good?").matches[0].ambiguous, true);
+});
+
+test("short words and common words are left alone", () => {
+  assert.deepEqual(resolver.resolve("who is the best teacher for calc").matches, []);
+});
+
+test("department aliases expand inside course codes", () => {
+  const { resolver } = kbResolver(deanza());
+  assert.match(resolver.resolve("best prof for MTH 1A").text, /\bMATH 1A\b/);
+  assert.match(resolver.resolve("who teaches cs 22c").text, /\bCIS 22C\b/);
+});
+
+// every code-like department alias in the KB, like "MTH" for MATH
+test("every department alias in the De Anza KB resolves to its course codes", () => {
+  const db = deanza();
+  const { codes, resolver } = kbResolver(db);
+  for (const [dept, entry] of Object.entries(db.aliases.departments)) {
+    const course = codes.find(c => c.startsWith(`${dept} `));
+    if (!course) continue;
+    for (const alias of entry.aliases.filter(a => /^[a-z]{2,5}$/i.test(a) && a.toUpperCase() !== dept)) {
+      const asked = `${alias.toUpperCase()} ${course.slice(dept.length + 1)}`;
+      assert.ok(resolver.resolve(`best prof for ${asked}`).text.includes(course), `${asked} -> ${course}`);
+    }
+  }
+});
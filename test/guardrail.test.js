@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createReplyChecker, createSentenceGate, findDates, findRatings } from "../lib/guardrail.js";
+
+const checker = createReplyChecker({
+  professors: [
+    { name: "Amanda Lien", rating: 4.7, courses: ["MATH 1A"] },
+    { name: "Nahrin Rashid", rating: 4.5, courses: ["MATH 1A"] }
+  ],
+  deadlines: [{ date: "October 5, 2025", description: "Last day to drop" }],
+  vocabulary: ["calculus", "mathematics"],
+  entities: [
+    "Is there free tutoring on campus? Visit the Student Success Center for drop-in hours.",
+    "Disability Support Services can arrange accommodations; ask at the counseling office."
+  ]
+});
+const today = new Date(2025, 9, 1);
+const issues = (text, ctx = {}) => checker.check(text, { today, ...ctx }).map(i => `${i.kind}:${i.value}`);
+
+test("KB professors, organizations and resources are not flagged", () => {
+  assert.deepEqual(issues("Nahrin Rashid's lectures are clear, and she's rated 4.5/5."), []);
+  assert.deepEqual(issues("Try Amanda Lien for MATH 1A. Professor Lien recommends the Student Success Center."), []);
+  assert.deepEqual(issues("Khan Academy and Paul's Online Math Notes are free. Use MyPortal to register."), []);
+  assert.deepEqual(issues("Disability Support Services can help; the drop deadline is October 5."), []);
+});
+
+test("unknown professors are flagged after a title or in a sentence about professors", () => {
+  assert.deepEqual(issues("Ask Dr. Smith about it."), ["name:Smith"]);
+  assert.deepEqual(issues("Professor John Carter teaches MATH 1A."), ["name:John Carter"]);
+  assert.deepEqual(issues("Amanda Lien or Maria Gomez would both work."), ["name:Maria Gomez"]);
+});
+
+test("names the snippets or the student mention are fine", () => {
+  assert.deepEqual(issues("Dr. Smith teaches it.", { snippets: ["Dr. Smith — MATH 1A, rated 4.2"] }), []);
+  assert.deepEqual(issues("Professor John Carter teaches MATH 1A.", { userMessage: "is john carter good?" }), []);
+});
+
+test("ratings must match the named professor, dates the KB", () => {
+  assert.deepEqual(issues("Amanda Lien is rated 4.9/5."), ["rating:4.9/5"]);
+  assert.deepEqual(issues("Amanda Lien is rated 4.7/5."), []);
+  assert.deepEqual(issues("The last day to drop is March 3."), ["date:March 3"]);
+  assert.deepEqual(issues("Today is 10/1, the deadline is Oct 5th, 2025."), []);
+});
+
+test("findDates and findRatings", () => {
+  assert.deepEqual(findDates("Mar 3rd, 2026 or 2026-03-04 or 3/5").map(d => [d.m, d.d, d.y]), [[3, 3, 2026], [3, 4, 2026], [3, 5, null]]);
+  assert.deepEqual(findRatings("4.7/5 from 149 ratings, rated 4.5. Also 3.9/5.0 and 4.1/5.").map(r => r.value), [4.7, 3.9, 4.1, 4.5]);
+  assert.deepEqual(findRatings("MATH 4/52 and 2/5/2026"), []);
+});
+
+test("the sentence gate relays checked sentences and holds back from the first bad one", () => {
+  const relayed = [];
+  const gate = createSentenceGate(s => !/Carter/.test(s), s => relayed.push(s));
+  for (const delta of ["Amanda Lien is ", "great, rated 4.", "7. Prof. Lien is ", "clear.\nJohn Carter ", "too. Fine."]) gate.push(delta);
+  gate.end();
+  assert.deepEqual(relayed, ["Amanda Lien is great, rated 4.7. ", "Prof. Lien is clear.\n"]);
+  assert.equal(gate.held, true);
+});
+
+test("the sentence gate flushes the last sentence on end", () => {
+  const relayed = [];
+  const gate = createSentenceGate(() => true, s => relayed.push(s));
+  gate.push("One. Two");
+  gate.end();
+  assert.deepEqual(relayed, ["One. ", "Two"]);
+  assert.equal(gate.held, false);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deadlinesToICS, filterDeadlines, deadlineUid } from "../lib/ical.js";
+
+const DEADLINES = [
+  { term: "Fall 2025", category: "drop", description: "Last day to drop, no W", date: "October 5, 2025", notes: "Use MyPortal; fees refunded" },
+  { term: "Fall 2025", category: "withdraw", description: "Last day to withdraw with a W", date: "November 14, 2025" },
+  { term: "Winter 2026", category: "registration", description: "Registration opens", date: "TBA" }
+];
+
+test("filterDeadlines matches terms and categories case-insensitively", () => {
+  assert.equal(filterDeadlines(DEADLINES, { term: "fall 2025" }).length, 2);
+  assert.deepEqual(filterDeadlines(DEADLINES, { term: "Fall 2025, winter 2026", category: "DROP,registration" }).map(d => d.category), ["drop", "registration"]);
+  assert.equal(filterDeadlines(DEADLINES).length, 3);
+});
+
+test("deadlineUid ignores the date so corrections move the event", () => {
+  const uid = deadlineUid("deanza", DEADLINES[0]);
+  assert.equal(deadlineUid("deanza", { ...DEADLINES[0], date: "October 6, 2025" }), uid);
+  assert.notEqual(deadlineUid("foothill", DEADLINES[0]), uid);
+  assert.match(uid, /^[0-9a-f]{20}@deanza\.counselor-bot$/);
+});
+
+test("deadlinesToICS writes all-day events, escapes text and skips undated rows", () => {
+  const ics = deadlinesToICS(DEADLINES, { schoolId: "deanza", school: { name: "De Anza College", website: "https://www.deanza.edu" }, now: new Date(Date.UTC(2025, 8, 1)) });
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n") && ics.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+  assert.match(ics, /DTSTART;VALUE=DATE:20251005\r\nDTEND;VALUE=DATE:20251006\r\n/);
+  assert.match(ics, /SUMMARY:Last day to drop\\, no W \(Fall 2025\)/);
+  assert.match(ics, /DTSTAMP:20250901T000000Z/);
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.match(unfolded, /DESCRIPTION:Last day to drop\\, no W\\nNotes: Use MyPortal\\; fees refunded\\nMore info: https:\/\/www\.deanza\.edu/);
+  assert.ok(ics.split("\r\n").every(line => Buffer.byteLength(line) <= 75), "lines are folded at 75 octets");
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyIntents, professorMentions, INTENT_THRESHOLD } from "../lib/intents.js";
+
+const PROFS = [
+  { name: "Justin Read" }, { name: "Doug Case" }, { name: "Mary Pape" },
+  { name: "Anh Nguyen" }, { name: "Linh Nguyen" }
+];
+const names = (q, opts) => professorMentions(q, PROFS, opts).map(m => m.candidates.map(p => p.name));
+
+test("professorMentions finds full and last names in order", () => {
+  assert.deepEqual(names("compare Mary Pape and Read"), [["Mary Pape"], ["Justin Read"]]);
+  assert.deepEqual(names("is nguyen good?"), [["Anh Nguyen", "Linh Nguyen"]]);
+  assert.deepEqual(names("Linh Nguyen or Anh Nguyen"), [["Linh Nguyen"], ["Anh Nguyen"]]);
+});
+
+test("everyday-word last names only count capitalized", () => {
+  const everydayNames = new Set(["read", "case"]);
+  assert.deepEqual(names("where do I read the syllabus, just in case", { everydayNames }), []);
+  assert.deepEqual(names("is Read good? what about Case", { everydayNames }), [["Justin Read"], ["Doug Case"]]);
+  assert.deepEqual(names("where do I read the syllabus"), [["Justin Read"]]); // not listed -> any case
+});
+
+const intents = (q, facts = {}) => classifyIntents(q, facts).map(i => i.intent).sort();
+
+test("classifyIntents returns every intent above the threshold", () => {
+  assert.deepEqual(intents("Best prof for MATH 1A and when's the drop deadline?", { courses: 1 }), ["deadline", "prof_ranking"]);
+  assert.ok(classifyIntents("where is the STEM center").every(i => i.confidence >= INTENT_THRESHOLD));
+});
+
+test("nothing above the threshold is generic", () => {
+  const [only] = classifyIntents("thanks!");
+  assert.equal(only.intent, "generic");
+  assert.deepEqual(only.cues, []);
+});
+
+test("teacher/instructor + best and paying fees", () => {
+  assert.deepEqual(intents("which instructor is best for MATH 1C?", { courses: 1 }), ["prof_ranking"]);
+  assert.deepEqual(intents("who teaches CIS 22C the best", { courses: 1 }), ["prof_ranking"]);
+  assert.deepEqual(intents("when do I need to pay fees by"), ["deadline"]);
+  assert.deepEqual(intents("how much are the fees per unit"), ["generic"]);
+});
+
+test("facts from the caller count as cues", () => {
+  assert.deepEqual(intents("Lien or Rashid?", { professors: 2 }), ["prof_compare"]);
+  assert.deepEqual(intents("who should i take", { lastCourse: true }), ["class_full"]);
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPlan, planToMarkdown } from "../lib/planner.js";
+import { parseTerm } from "../lib/deadlines.js";
+
+const MAJOR = { campus: "UCSD", program: "Data Science", lower_division: ["Math 1A - 1C", "CIS 22A", "Any approved elective"] };
+const COURSES = [
+  { code: "MATH 1A", title: "Calculus", units: 5, prerequisites: ["MATH 43"] },
+  { code: "MATH 1B", units: 5, prerequisites: ["MATH 1A"] },
+  { code: "MATH 1C", units: 5, prerequisites: ["MATH 1B"] },
+  { code: "MATH 43", units: 5 },
+  { code: "CIS 22A", units: 4.5 }
+];
+const startTerm = parseTerm("Fall 2025");
+const termsOf = plan => plan.terms.map(t => [t.term, t.courses.map(c => c.code)]);
+
+test("buildPlan adds missing prerequisites and starts the longest chain first", () => {
+  const plan = buildPlan(MAJOR, { courses: COURSES, startTerm, unitCap: 10 });
+  assert.deepEqual(termsOf(plan), [
+    ["Fall 2025", ["MATH 43", "CIS 22A"]],
+    ["Winter 2026", ["MATH 1A"]],
+    ["Spring 2026", ["MATH 1B"]],
+    ["Fall 2026", ["MATH 1C"]]
+  ]);
+  assert.equal(plan.terms[0].courses[0].reason, "prerequisite for MATH 1A");
+  assert.equal(plan.total_units, 24.5);
+  assert.deepEqual(plan.unmapped, ["Any approved elective"]);
+});
+
+test("buildPlan skips completed courses and can use summer", () => {
+  const plan = buildPlan(MAJOR, { courses: COURSES, completed: ["math 43", "MATH 1A"], startTerm: parseTerm("Spring 2026"), includeSummer: true });
+  assert.deepEqual(termsOf(plan), [["Spring 2026", ["MATH 1B", "CIS 22A"]], ["Summer 2026", ["MATH 1C"]]]);
+});
+
+test("buildPlan notes uncataloged courses and leaves blocked ones unscheduled", () => {
+  const plan = buildPlan({ ...MAJOR, lower_division: ["PHYS 4A", "CIS 22C"] }, { courses: [{ code: "CIS 22C", prerequisites: ["CIS 22C"] }], startTerm });
+  assert.deepEqual(termsOf(plan), [["Fall 2025", ["PHYS 4A"]]]);
+  assert.deepEqual(plan.unscheduled, [{ code: "CIS 22C", missing_prerequisites: ["CIS 22C"] }]);
+  assert.match(plan.notes[0], /Not in the course catalog .*PHYS 4A/);
+  assert.match(planToMarkdown(plan), /## Not scheduled\n- CIS 22C \(needs CIS 22C\)/);
+});
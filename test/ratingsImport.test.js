@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRatingsExport, planRatingsImport, applyRatingsImport, formatImportDiff } from "../lib/ratingsImport.js";
+
+const CSV = [
+  "﻿First Name,Last Name,Avg Rating,Num Ratings,Would Take Again %,Level of Difficulty,Profile URL",
+  "Amanda,Lien,4.8,150,0.91,2.4,https://www.ratemyprofessors.com/professor/1",
+  "\"Nahrin\",\"Rashid\",4.5,\"1,2\",-1,3.0,https://www.ratemyprofessors.com/placeholder",
+  "Unknown,Person,4.0,10,80,3,",
+  "Amanda,Lien,4.1,9,,,"
+].join("\r\n");
+
+const kb = () => ({
+  professors: [
+    { name: "Amanda Lien", rating: 4.7, num_ratings: 149, courses: ["MATH 1A"] },
+    { name: "Nahrin Rashid", rating: 4.5, courses: ["MATH 1A"] },
+    { name: "amanda lien ", rating: 4.6, courses: ["MATH 1B"] }
+  ]
+});
+
+test("parseRatingsExport reads CSV headers, quotes and split names", () => {
+  const rows = parseRatingsExport(CSV, "csv");
+  assert.equal(rows.length, 4);
+  assert.deepEqual(rows[0], { line: 2, name: "Amanda Lien", rating: "4.8", num_ratings: "150", would_take_again: "0.91", difficulty: "2.4", rmp_url: "https://www.ratemyprofessors.com/professor/1" });
+  assert.equal(rows[1].num_ratings, "1,2");
+  const json = parseRatingsExport(JSON.stringify({ professors: [{ professor: "Amanda Lien", quality: 4.8 }] }), "json");
+  assert.deepEqual(json, [{ line: 1, name: "Amanda Lien", rating: 4.8 }]);
+  assert.throws(() => parseRatingsExport("{}", "json"), /expected an array/);
+});
+
+test("planRatingsImport matches by profKey and reports changes, problems and leftovers", () => {
+  const plan = planRatingsImport(kb(), parseRatingsExport(CSV, "csv"), { source: "RMP export", date: "2026-01-05" });
+  assert.deepEqual(plan.changes.map(c => [c.name, c.field, c.from, c.to]), [
+    ["amanda lien ", "rating", 4.6, 4.8],
+    ["amanda lien ", "num_ratings", null, 150],
+    ["amanda lien ", "difficulty", null, 2.4],
+    ["amanda lien ", "would_take_again", null, 91],
+    ["amanda lien ", "rmp_url", null, "https://www.ratemyprofessors.com/professor/1"],
+    ["Nahrin Rashid", "difficulty", null, 3]
+  ]);
+  assert.deepEqual(plan.changes[0].indexes, [0, 2]);
+  assert.deepEqual(plan.confirmed.map(c => [c.name, c.field]), [["Nahrin Rashid", "rating"]]);
+  assert.deepEqual(plan.unmatched.map(r => r.name), ["Unknown Person"]);
+  assert.deepEqual(plan.problems.map(p => `${p.line} ${p.message.split(":")[0]}`), ["3 num_ratings", "3 rmp_url", '5 "Amanda Lien" already imported from line 2; skipped']);
+});
+
+test("applyRatingsImport writes values plus provenance to every merged record", () => {
+  const db = kb();
+  const plan = planRatingsImport(db, parseRatingsExport(CSV, "csv"), { source: "RMP export", date: "2026-01-05" });
+  applyRatingsImport(db, plan);
+  for (const i of [0, 2]) {
+    assert.equal(db.professors[i].rating, 4.8);
+    assert.deepEqual(db.professors[i].provenance.rating, { source: "RMP export", date: "2026-01-05" });
+  }
+  assert.deepEqual(Object.keys(db.professors[1].provenance).sort(), ["difficulty", "rating"]);
+  assert.match(formatImportDiff(plan), /^~ amanda lien \n {6}rating {12}4\.6 -> 4\.8\n {4}\+ num_ratings/);
+  assert.match(formatImportDiff(plan), /1 row\(s\) unmatched, 3 problem\(s\)$/);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRequirement, evaluateProgress, extractCourseList, canonCode, compareCodes, minimalCover, planOverlap } from "../lib/requirements.js";
+
+const options = text => parseRequirement(text).items.map(i => i.oneOf);
+
+test("parseRequirement expands ranges and carries the department", () => {
+  assert.deepEqual(options("Calculus 1A - 1D"), [[["MATH 1A"]], [["MATH 1B"]], [["MATH 1C"]], [["MATH 1D"]]]);
+  assert.deepEqual(options("ECON 1, 2"), [[["ECON 1"]], [["ECON 2"]]]);
+  assert.deepEqual(options("Data Abstraction and Structures - CIS 22C"), [[["CIS 22C"]]]);
+});
+
+test("parseRequirement reads OR alternatives as one item, AND groups inside them", () => {
+  assert.deepEqual(options("Math 10 OR PSYC 15"), [[["MATH 10"], ["PSYC 15"]]]);
+  assert.deepEqual(options("CIS 22A OR (CIS 36A AND CIS 36B)"), [[["CIS 22A"], ["CIS 36A", "CIS 36B"]]]);
+  assert.deepEqual(options("Math 1A (Prereq: Math 43)"), [[["MATH 1A"]]]);
+});
+
+test("parseRequirement keeps what it can't read", () => {
+  const req = parseRequirement("One course from the approved list");
+  assert.deepEqual(req.items, []);
+  assert.equal(req.unmapped.length, 1);
+});
+
+test("evaluateProgress splits met and open items and attaches ranked professors", () => {
+  const major = { campus: "UCSD", program: "Data Science", lower_division: ["Math 1A - 1B", "Math 10 OR PSYC 15"] };
+  const rankings = { "MATH 1B": [{ name: "B", rank: 2 }, { name: "A", rank: 1 }] };
+  const p = evaluateProgress(major, ["math 1a", "PSYC15"], { rankings });
+  assert.deepEqual(p.met.map(m => m.satisfied_by), [["MATH 1A"], ["PSYC 15"]]);
+  assert.deepEqual(p.open.map(o => o.item), ["MATH 1B"]);
+  assert.deepEqual(p.open[0].ranked_professors["MATH 1B"].map(r => r.name), ["A", "B"]);
+  assert.equal(p.complete, false);
+  assert.equal(evaluateProgress(major, ["MATH 1A", "MATH 1B", "MATH 10"]).complete, true);
+});
+
+test("extractCourseList reads ranges, connectors and known departments only", () => {
+  const depts = new Set(["CIS", "MATH"]);
+  assert.deepEqual(extractCourseList("I've taken Math 1A-1C, CIS 22A and 22B", { depts }), ["MATH 1A", "MATH 1B", "MATH 1C", "CIS 22A", "CIS 22B"]);
+  assert.deepEqual(extractCourseList("took 3 classes in week 2", { depts }), []);
+  assert.equal(canonCode(" cis-22a "), "CIS 22A");
+});
+
+test("compareCodes orders course numbers numerically", () => {
+  assert.deepEqual(["MATH 10", "MATH 2A", "CIS 22A", "MATH 1B", "MATH 1A"].sort(compareCodes), ["CIS 22A", "MATH 1A", "MATH 1B", "MATH 2A", "MATH 10"]);
+});
+
+test("minimalCover picks the option shared with forced courses", () => {
+  const items = [
+    { oneOf: [["MATH 1A"]] },
+    { oneOf: [["MATH 10"], ["PSYC 15"]] },
+    { oneOf: [["PSYC 15"], ["SOC 15"]] }
+  ];
+  assert.deepEqual(minimalCover(items), { courses: ["MATH 1A", "PSYC 15"], exact: true });
+});
+
+test("planOverlap lists common, partial and the smallest set across campuses", () => {
+  const plan = planOverlap([
+    { campus: "UCSD", program: "Data Science", lower_division: ["Math 1A - 1B", "Math 10 OR PSYC 15"] },
+    { campus: "UCLA", program: "Data Theory", lower_division: ["Math 1A", "PSYC 15", "Some approved elective"] }
+  ]);
+  assert.deepEqual(plan.common, ["MATH 1A", "PSYC 15"]);
+  assert.deepEqual(plan.partial, [{ code: "MATH 1B", campuses: ["UCSD"] }, { code: "MATH 10", campuses: ["UCSD"] }]);
+  assert.deepEqual(plan.minimal_set, ["MATH 1A", "MATH 1B", "PSYC 15"]);
+  assert.equal(plan.unmapped[0].campus, "UCLA");
+});
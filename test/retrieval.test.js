@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRetriever, tokenize, cosine } from "../lib/retrieval.js";
+
+const ITEMS = [
+  { type: "faq", data: "drop", text: "How do I drop a class? Drop deadlines are in the calendar." },
+  { type: "faq", data: "tutoring", text: "Free tutoring at the Student Success Center, drop-in hours daily." },
+  { type: "course", data: "MATH 1A", text: "MATH 1A Calculus I" },
+  { type: "course", data: "CIS 22A", text: "CIS 22A Beginning programming in C++" }
+];
+const VECTORS = [[1, 0, 0], [0, 1, 0], [0, 0, 1], null];
+const retriever = createRetriever(ITEMS, { depts: new Set(["math", "cis"]) });
+const ids = hits => hits.map(h => h.data);
+
+test("tokenize joins course codes, drops stop words and stems plurals", () => {
+  assert.deepEqual(tokenize("What are the Math-1A classes?", new Set(["math"])), ["math1a", "class"]);
+  assert.deepEqual(tokenize("top 3 studies", new Set(["math"])), ["top", "3", "study"]);
+  assert.equal(cosine([1, 0], [1, 0]), 1);
+});
+
+test("BM25 alone ranks by the query's words and codes", () => {
+  assert.deepEqual(ids(retriever.search("when can I drop classes")), ["drop", "tutoring"]);
+  assert.deepEqual(ids(retriever.search("math1a")), ["MATH 1A"]);
+  assert.deepEqual(ids(retriever.search("zzz")), []);
+});
+
+test("vectors add semantic matches and agreeing lists rank first", () => {
+  const hits = retriever.search("free help with homework", { vectors: VECTORS, queryVector: [0.2, 1, 0] });
+  assert.equal(hits[0].data, "tutoring");
+  assert.equal(hits[0].why.rrf, 2);
+  const semantic = retriever.search("integrals", { vectors: VECTORS, queryVector: [0, 0, 1] });
+  assert.deepEqual(ids(semantic), ["MATH 1A"]);
+  assert.equal(semantic[0].why.bm25_rank, null);
+});
+
+test("boosts and types filter and reorder hits", () => {
+  assert.deepEqual(ids(retriever.search("drop", { boost: it => (it.data === "drop" ? 0 : 1) })), ["tutoring"]);
+  assert.deepEqual(ids(retriever.search("drop", { boost: it => (it.data === "tutoring" ? 3 : 1) })), ["tutoring", "drop"]);
+  assert.deepEqual(ids(retriever.search("MATH 1A calculus drop", { types: new Set(["course"]) })), ["MATH 1A"]);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSearchClient, createGoogleCSEProvider } from "../lib/webSearch.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function fakeProvider({ metered = true } = {}) {
+  const calls = [];
+  return {
+    calls,
+    name: "fake",
+    metered,
+    async search(q, { site, num }) {
+      calls.push(q);
+      return [{ title: `${q} result`, link: `https://${site || "example.com"}/${num}`, snippet: "", displayLink: site || "example.com" }];
+    }
+  };
+}
+
+test("identical queries are cached, concurrent ones share one request", async () => {
+  const provider = fakeProvider();
+  const client = createSearchClient(provider, { now: () => 0 });
+  const [a, b] = await Promise.all([client.search("calc tutoring"), client.search("calc tutoring")]);
+  await client.search("calc tutoring");
+  assert.equal(provider.calls.length, 1);
+  assert.deepEqual(a, b);
+  assert.equal(client.stats().used, 1);
+});
+
+test("cache entries expire after the TTL", async () => {
+  let t = 0;
+  const provider = fakeProvider();
+  const client = createSearchClient(provider, { ttlMs: 1000, now: () => t });
+  await client.search("q");
+  t = 1500;
+  await client.search("q");
+  assert.equal(provider.calls.length, 2);
+});
+
+test("the daily quota stops uncached searches until the next day", async () => {
+  let t = new Date(2026, 9, 19, 9).getTime();
+  const provider = fakeProvider();
+  const client = createSearchClient(provider, { dailyQuota: 2, now: () => t });
+  await client.search("a");
+  await client.search("b");
+  assert.deepEqual(await client.search("c"), []);
+  assert.equal(provider.calls.length, 2);
+  assert.equal((await client.search("a")).length, 1); // cached
+  t += DAY;
+  assert.equal((await client.search("c")).length, 1);
+  assert.equal(client.stats().used, 1);
+});
+
+test("searches that send no request don't use the quota", async () => {
+  const fixtures = createSearchClient(fakeProvider({ metered: false }), { dailyQuota: 1, now: () => 0 });
+  await fixtures.search("a");
+  assert.equal((await fixtures.search("b")).length, 1);
+  assert.equal(fixtures.stats().used, 0);
+
+  const keyless = createSearchClient(createGoogleCSEProvider({ key: "", cx: "" }), { now: () => 0 });
+  assert.deepEqual(await keyless.search("x"), []);
+  assert.equal(keyless.stats().used, 0);
+});